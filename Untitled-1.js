@@ -62,12 +62,12 @@ function isValidEmail(email) {
 // Helper function to track email signups (integrate with your analytics)
 function trackEmailSignup(email) {
   // Example: Google Analytics event tracking
+  // Never send the address itself - only that a signup happened
   // gtag('event', 'email_signup', {
-  //     'email': email,
-  //     'page_location': window.location.href
+  //     'page_location': window.location.origin + window.location.pathname
   // });
 
-  console.log('Email signup tracked:', email);
+  console.log('Email signup tracked');
 }
 
 // Helper function to track service interest (integrate with your analytics)
@@ -13,51 +13,3009 @@ const CONFIG = {
   SCROLL_THRESHOLD: 0.1,
   SCROLL_MARGIN: '-50px',
   TYPING_SPEED: 80,
-  FORM_TIMEOUT: 2000,
+  FORM_TIMEOUT: 10000,
   MESSAGE_TIMEOUT: 5000,
+  // Matches the max-width media query in styles.css
+  MOBILE_BREAKPOINT: 768,
+  // Horizontal distance (px) a swipe must travel to close the mobile menu
+  SWIPE_THRESHOLD: 60,
+  MONITORING: {
+    // Set to a URL to send error reports; without one they stay in the page
+    ENDPOINT: null,
+    BREADCRUMBS: 20,
+    // Distinct errors reported per page view; repeats are only counted
+    MAX_REPORTS: 10,
+    // Stack frames that make up an error's fingerprint
+    FINGERPRINT_FRAMES: 5
+  },
+  PERFORMANCE: {
+    // Share of page views (0-1) that collect and report Core Web Vitals
+    VITALS_SAMPLE_RATE: 1
+  },
+  NOTIFICATIONS: {
+    // Toasts beyond this wait in a queue until one is dismissed
+    MAX_VISIBLE: 3
+  },
   API_ENDPOINTS: {
     EARLY_ACCESS: '/api/early-access',
-    CONTACT: '/api/contact'
+    CONTACT: '/api/contact',
+    LEADS: '/api/leads',
+    // May also point at a static JSON file of the same shape: { slots: [{ start, end }] }
+    SLOTS: '/api/slots',
+    BOOKINGS: '/api/bookings',
+    CSRF: '/api/csrf',
+    CHALLENGE: '/api/challenge'
+  },
+  SPAM: {
+    // Must match HONEYPOT_FIELD in server.js
+    HONEYPOT_FIELD: 'website',
+    MIN_SUBMIT_TIME: 2000,
+    RATE_LIMIT: {
+      MAX_SUBMISSIONS: 3,
+      WINDOW: 10 * 60 * 1000
+    },
+    STORAGE_KEY: 'kbrj_submission_log',
+    // Solve a proof-of-work challenge before each submission; enable POW_DIFFICULTY on the server too
+    PROOF_OF_WORK: false,
+    // Challenges above this difficulty are refused; a solve gives up after MAX_ATTEMPTS hashes
+    // (16 times the expected work at the maximum difficulty), hashing BATCH_SIZE at a time
+    PROOF_OF_WORK_LIMITS: {
+      MAX_DIFFICULTY: 16,
+      MAX_ATTEMPTS: 2 ** 20,
+      BATCH_SIZE: 64
+    }
+  },
+  CSRF: {
+    HEADER: 'X-CSRF-Token',
+    // Fetch a new token this long before the current one expires
+    REFRESH_MARGIN: 60 * 1000
+  },
+  RETRY: {
+    MAX_ATTEMPTS: 3,
+    BASE_DELAY: 500,
+    MAX_DELAY: 5000
+  },
+  QUEUE: {
+    STORAGE_KEY: 'kbrj_submission_queue',
+    MAX_ENTRIES: 20,
+    MAX_AGE: 7 * 24 * 60 * 60 * 1000,
+    // Bookings depend on live availability, so they are never replayed later
+    SKIP_FORM_TYPES: ['booking'],
+    // While online, a queue the server couldn't take is retried after RETRY_DELAY,
+    // doubling with each failed attempt up to MAX_RETRY_DELAY
+    RETRY_DELAY: 15000,
+    MAX_RETRY_DELAY: 5 * 60 * 1000
+  },
+  ANALYTICS: {
+    FLUSH_INTERVAL: 10000,
+    BATCH_SIZE: 20,
+    HISTORY_SIZE: 200,
+    // Set to a URL to enable the generic HTTP collector adapter
+    COLLECTOR_ENDPOINT: null,
+    // Set to your site's domain to enable the Plausible-style adapter
+    PLAUSIBLE_DOMAIN: null,
+    PLAUSIBLE_ENDPOINT: 'https://plausible.io/api/event'
+  },
+  // Client-side routes: each path maps to a section id, optionally with a lazily loaded fragment
+  ROUTES: [
+    { path: '/', section: 'home' },
+    { path: '/services', section: 'services' },
+    {
+      path: '/services/:service',
+      section: 'service-detail',
+      fragment: '/pages/services/:service.html',
+      // Filled in from the service catalog
+      params: { service: [] }
+    },
+    { path: '/about', section: 'about' },
+    { path: '/contact', section: 'contact' },
+    { path: '/early-access', section: 'early-access' }
+  ],
+  I18N: {
+    DEFAULT_LOCALE: 'en',
+    SUPPORTED_LOCALES: ['en', 'es'],
+    STORAGE_KEY: 'kbrj_locale',
+    CATALOG_PATH: '/locales',
+    CURRENCY: 'USD'
+  },
+  SERVICES: {
+    CATALOG_URL: '/catalog/services.json'
+  },
+  THEME: {
+    // Also read by the inline script in index.html's <head>
+    STORAGE_KEY: 'kbrj_theme',
+    THEMES: ['light', 'dark']
+  },
+  MOTION: {
+    // Also read by the inline script in index.html's <head>
+    STORAGE_KEY: 'kbrj_motion'
+  },
+  EXPERIMENTS: {
+    STORAGE_KEY: 'kbrj_experiments',
+    // ?exp=hero-headline:outcome,cta-label:control forces variants for QA; overrides are never stored
+    QUERY_PARAM: 'exp',
+    // Changes target the experiment's [data-experiment] nodes unless they name a selector.
+    // `text` shows until translations load; `i18n` is the key translate() uses from then on.
+    // Without `text` the node stays empty until then, for copy that needs locale formatting.
+    DEFINITIONS: [
+      {
+        id: 'hero-headline',
+        variants: [
+          { id: 'control', weight: 50 },
+          {
+            id: 'outcome',
+            weight: 50,
+            changes: [{ i18n: 'experiments.heroHeadline.outcome', text: 'Get 10 Hours a Week Back' }]
+          }
+        ]
+      },
+      {
+        id: 'launch-date',
+        variants: [
+          { id: 'control', weight: 50 },
+          {
+            id: 'opens',
+            weight: 50,
+            changes: [{ i18n: 'experiments.launchDate.opens' }]
+          }
+        ]
+      },
+      {
+        id: 'cta-label',
+        variants: [
+          { id: 'control', weight: 50 },
+          {
+            id: 'reserve',
+            weight: 50,
+            changes: [{ i18n: 'experiments.ctaLabel.reserve', text: 'Reserve My Spot', attrs: { 'data-track': 'cta-reserve' } }]
+          }
+        ]
+      }
+    ]
+  },
+  CONSENT: {
+    STORAGE_KEY: 'kbrj_consent',
+    // Bump when the categories or their meaning change to ask everyone again
+    VERSION: 1,
+    MAX_AGE: 365 * 24 * 60 * 60 * 1000
+  }
+};
+
+// Performance monitoring
+const PERFORMANCE = {
+  startTime: performance.now(),
+  metrics: {},
+
+  mark(name) {
+    this.metrics[name] = performance.now();
+  },
+
+  measure(name, startMark) {
+    if (this.metrics[startMark]) {
+      const duration = performance.now() - this.metrics[startMark];
+      console.log(`${name}: ${duration.toFixed(2)}ms`);
+      return duration;
+    }
+  },
+
+  // Core Web Vitals: "good" up to the first threshold, "poor" above the second
+  thresholds: {
+    LCP: [2500, 4000],
+    CLS: [0.1, 0.25],
+    INP: [200, 500],
+    FCP: [1800, 3000],
+    TTFB: [800, 1800]
+  },
+  vitals: {},
+  vitalsObservers: [],
+  vitalsReported: false,
+  sampled: null,
+
+  // Decided once per page view
+  isSampled() {
+    if (this.sampled === null) {
+      this.sampled = Math.random() < CONFIG.PERFORMANCE.VITALS_SAMPLE_RATE;
+    }
+    return this.sampled;
+  },
+
+  observe(type, callback, options = {}) {
+    if (!('PerformanceObserver' in window) || !(PerformanceObserver.supportedEntryTypes || []).includes(type)) {
+      return;
+    }
+    const observer = new PerformanceObserver(list => list.getEntries().forEach(callback));
+    observer.observe({ type, buffered: true, ...options });
+    this.vitalsObservers.push({ observer, callback });
+  },
+
+  // Short, content-free description of an element, e.g. "img#hero.banner"
+  describe(element) {
+    if (!element || !element.tagName) return '';
+    const id = element.id ? `#${element.id}` : '';
+    const classes = Array.from(element.classList).slice(0, 2).map(name => `.${name}`).join('');
+    return `${element.tagName.toLowerCase()}${id}${classes}`;
+  },
+
+  // Drop query strings and fragments so resource URLs carry no personal data
+  describeURL(url) {
+    if (!url) return '';
+    try {
+      const parsed = new URL(url, location.href);
+      return parsed.origin === location.origin ? parsed.pathname : `${parsed.origin}${parsed.pathname}`;
+    } catch (error) {
+      return '';
+    }
+  },
+
+  setVital(name, value, attribution = {}) {
+    this.vitals[name] = { value, attribution };
+  },
+
+  startVitals() {
+    // Vitals belong to the page view, so re-initializing the app doesn't start a second collection
+    if (this.vitalsReported || this.vitalsObservers.length > 0) return;
+
+    this.observe('navigation', entry => {
+      this.setVital('TTFB', entry.responseStart, {
+        dns: entry.domainLookupEnd - entry.domainLookupStart,
+        connection: entry.connectEnd - entry.connectStart,
+        server: entry.responseStart - entry.requestStart
+      });
+    });
+
+    this.observe('paint', entry => {
+      if (entry.name !== 'first-contentful-paint') return;
+      const ttfb = this.vitals.TTFB ? this.vitals.TTFB.value : 0;
+      this.setVital('FCP', entry.startTime, { render_delay: entry.startTime - ttfb });
+    });
+
+    // The last candidate before the first interaction is the final LCP
+    this.observe('largest-contentful-paint', entry => {
+      this.setVital('LCP', entry.startTime, {
+        element: this.describe(entry.element),
+        url: this.describeURL(entry.url),
+        size: entry.size
+      });
+    });
+
+    // CLS is the worst session window: shifts less than 1s apart, 5s at most
+    const clsWindow = { value: 0, first: 0, last: 0, largest: null };
+    this.observe('layout-shift', entry => {
+      if (entry.hadRecentInput) return;
+
+      if (clsWindow.value > 0 && (entry.startTime - clsWindow.last > 1000 || entry.startTime - clsWindow.first > 5000)) {
+        Object.assign(clsWindow, { value: 0, first: entry.startTime, largest: null });
+      }
+      if (clsWindow.value === 0) clsWindow.first = entry.startTime;
+      clsWindow.value += entry.value;
+      clsWindow.last = entry.startTime;
+      if (!clsWindow.largest || entry.value > clsWindow.largest.value) clsWindow.largest = entry;
+
+      if (!this.vitals.CLS || clsWindow.value > this.vitals.CLS.value) {
+        const source = (clsWindow.largest.sources || []).find(candidate => candidate.node);
+        this.setVital('CLS', clsWindow.value, { element: this.describe(source && source.node) });
+      }
+    });
+
+    // INP approximates the 98th percentile: the worst interaction, skipping one per 50
+    const interactions = new Map();
+    const recordInteraction = entry => {
+      if (!entry.interactionId) return;
+      const existing = interactions.get(entry.interactionId);
+      if (existing && existing.duration >= entry.duration) return;
+      interactions.set(entry.interactionId, entry);
+
+      const longest = Array.from(interactions.values()).sort((a, b) => b.duration - a.duration);
+      const worst = longest[Math.min(longest.length - 1, Math.floor(interactions.size / 50))];
+      this.setVital('INP', worst.duration, {
+        element: this.describe(worst.target),
+        event_type: worst.name,
+        input_delay: worst.processingStart - worst.startTime,
+        processing: worst.processingEnd - worst.processingStart,
+        presentation: worst.startTime + worst.duration - worst.processingEnd
+      });
+    };
+    this.observe('event', recordInteraction, { durationThreshold: 40 });
+    this.observe('first-input', recordInteraction);
+  },
+
+  // Final values, once per page view; later calls return null
+  takeVitals() {
+    if (this.vitalsReported) return null;
+    this.vitalsReported = true;
+
+    // Pick up entries the observers haven't delivered yet
+    this.vitalsObservers.forEach(({ observer, callback }) => {
+      if (observer.takeRecords) observer.takeRecords().forEach(callback);
+      observer.disconnect();
+    });
+    this.vitalsObservers = [];
+
+    return Object.entries(this.vitals).map(([name, { value, attribution }]) => {
+      const [good, poor] = this.thresholds[name];
+      const rounded = name === 'CLS' ? Math.round(value * 1000) / 1000 : Math.round(value);
+      const rating = value <= good ? 'good' : value <= poor ? 'needs-improvement' : 'poor';
+      const roundedAttribution = Object.fromEntries(Object.entries(attribution).map(([key, part]) => (
+        [key, typeof part === 'number' ? Math.round(part) : part]
+      )));
+      return { name, value: rounded, rating, attribution: roundedAttribution };
+    });
+  }
+};
+
+// Security utilities
+const SECURITY = {
+  // XSS prevention
+  sanitizeInput(input) {
+    const div = document.createElement('div');
+    div.textContent = input;
+    return div.innerHTML;
+  },
+
+  // Random identifier for idempotency keys
+  generateId() {
+    if (window.crypto && crypto.randomUUID) {
+      return crypto.randomUUID();
+    }
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  },
+
+  // Input validation patterns
+  patterns: {
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    phone: /^[\+]?[1-9][\d]{0,15}$/,
+    // Letters in any script plus combining marks, so "José" and "Nguyễn Thị" pass
+    name: /^[\p{L}\p{M}\s'.-]{2,50}$/u
+  }
+};
+
+// Internationalization: JSON catalogs, interpolation, plurals and Intl formatting
+const I18N = {
+  locale: CONFIG.I18N.DEFAULT_LOCALE,
+  catalogs: {},
+
+  // Load the default catalog plus the visitor's preferred locale
+  async init() {
+    await this.load(CONFIG.I18N.DEFAULT_LOCALE);
+    await this.setLocale(this.detect(), { persist: false });
+  },
+
+  // Saved choice first, then the browser's languages, then the default
+  detect() {
+    let stored = null;
+    try {
+      stored = localStorage.getItem(CONFIG.I18N.STORAGE_KEY);
+    } catch (error) {
+      stored = null;
+    }
+
+    const candidates = [stored, ...(navigator.languages || [navigator.language])].filter(Boolean);
+    for (const candidate of candidates) {
+      const locale = this.resolve(candidate);
+      if (locale) return locale;
+    }
+    return CONFIG.I18N.DEFAULT_LOCALE;
+  },
+
+  // Map "es-MX" to "es" if only the base language is supported
+  resolve(tag) {
+    const supported = CONFIG.I18N.SUPPORTED_LOCALES;
+    const normalized = tag.toLowerCase();
+    if (supported.includes(normalized)) return normalized;
+    const base = normalized.split('-')[0];
+    return supported.includes(base) ? base : null;
+  },
+
+  async load(locale) {
+    if (this.catalogs[locale]) return this.catalogs[locale];
+
+    const response = await fetch(`${CONFIG.I18N.CATALOG_PATH}/${locale}.json`);
+    if (!response.ok) {
+      throw new Error(`Failed to load ${locale} catalog (${response.status})`);
+    }
+    this.catalogs[locale] = await response.json();
+    return this.catalogs[locale];
+  },
+
+  // Switch locale; falls back to the default if the catalog can't be loaded
+  async setLocale(locale, { persist = true } = {}) {
+    try {
+      await this.load(locale);
+      this.locale = locale;
+    } catch (error) {
+      console.warn('Falling back to default locale:', error);
+      this.locale = CONFIG.I18N.DEFAULT_LOCALE;
+    }
+
+    document.documentElement.lang = this.locale;
+
+    if (persist) {
+      try {
+        localStorage.setItem(CONFIG.I18N.STORAGE_KEY, this.locale);
+      } catch (error) {
+        // Storage unavailable - the choice still applies for this page view
+      }
+    }
+
+    return this.locale;
+  },
+
+  lookup(locale, key) {
+    return key.split('.').reduce((node, part) => (node && node[part] !== undefined ? node[part] : undefined), this.catalogs[locale]);
+  },
+
+  has(key) {
+    return this.lookup(this.locale, key) !== undefined || this.lookup(CONFIG.I18N.DEFAULT_LOCALE, key) !== undefined;
+  },
+
+  // Translate a key; `count` selects a plural form and {param} placeholders are filled in
+  t(key, params = {}) {
+    let message = this.lookup(this.locale, key);
+    if (message === undefined) {
+      message = this.lookup(CONFIG.I18N.DEFAULT_LOCALE, key);
+    }
+    if (message === undefined) {
+      return key;
+    }
+
+    if (typeof message === 'object') {
+      const form = new Intl.PluralRules(this.locale).select(Number(params.count) || 0);
+      message = message[form] !== undefined ? message[form] : message.other;
+    }
+
+    return this.interpolate(String(message), params);
+  },
+
+  interpolate(template, params) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => (
+      params[name] === undefined ? placeholder : this.formatParam(params[name])
+    ));
+  },
+
+  // Params may be plain values or typed: { currency }, { number }, { percent }, { date }
+  formatParam(value) {
+    if (typeof value === 'number') {
+      return this.formatNumber(value);
+    }
+    if (value && typeof value === 'object') {
+      const compact = value.compact ? { notation: 'compact' } : {};
+      if (value.currency !== undefined) return this.formatCurrency(value.currency, value.code, compact);
+      if (value.percent !== undefined) return this.formatNumber(value.percent, { style: 'percent' });
+      if (value.number !== undefined) return this.formatNumber(value.number, compact);
+      if (value.date !== undefined) return this.formatDate(value.date);
+    }
+    return String(value);
+  },
+
+  formatNumber(value, options = {}) {
+    return new Intl.NumberFormat(this.locale, options).format(value);
+  },
+
+  formatCurrency(value, currency = CONFIG.I18N.CURRENCY, options = {}) {
+    return new Intl.NumberFormat(this.locale, { style: 'currency', currency, ...options }).format(value);
+  },
+
+  formatDate(value, options = { dateStyle: 'long' }) {
+    // Date-only strings parse as UTC midnight; format them in UTC so the day doesn't shift
+    const isDateOnly = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    return new Intl.DateTimeFormat(this.locale, { ...options, ...(isDateOnly && { timeZone: 'UTC' }) }).format(new Date(value));
+  },
+
+  // Translate [data-i18n] text and [data-i18n-attr="placeholder:key;aria-label:key"] attributes
+  translate(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      const params = this.parseParams(element);
+      const text = this.t(element.dataset.i18n, params);
+      element.textContent = text;
+
+      // Keep labels that mirror the visible text in sync
+      if (element.dataset.i18nLabel === 'text') {
+        element.setAttribute('aria-label', text);
+      }
+    });
+
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+      element.dataset.i18nAttr.split(';').forEach(pair => {
+        const [attribute, key] = pair.split(':').map(part => part.trim());
+        if (attribute && key) {
+          element.setAttribute(attribute, this.t(key));
+        }
+      });
+    });
+  },
+
+  parseParams(element) {
+    if (!element.dataset.i18nParams) return {};
+    try {
+      return JSON.parse(element.dataset.i18nParams);
+    } catch (error) {
+      console.warn('Invalid data-i18n-params on', element, error);
+      return {};
+    }
+  }
+};
+
+// Synchronous validation rules: (value, argument, values) => passes
+const VALIDATION_RULES = {
+  required: (value) => value.length > 0,
+  minLength: (value, min) => Array.from(value).length >= Number(min),
+  maxLength: (value, max) => Array.from(value).length <= Number(max),
+  email: (value) => SECURITY.patterns.email.test(value),
+  phone: (value) => SECURITY.patterns.phone.test(value.replace(/[\s().-]/g, '')),
+  // Named pattern from SECURITY.patterns, or a RegExp in a schema
+  pattern: (value, pattern) => {
+    const regex = pattern instanceof RegExp ? pattern : SECURITY.patterns[pattern];
+    return !regex || regex.test(value);
+  },
+  // Cross-field: value must equal another field's value
+  matches: (value, otherField, values) => value === (values[otherField] || '')
+};
+
+// Asynchronous validators: (value, values) => Promise<passes>
+const ASYNC_VALIDATORS = {
+  // Re-check a strategy call slot against fresh availability right before booking
+  async slotAvailable(value) {
+    const slots = await SCHEDULING.fetchSlots();
+    return slots.some(slot => slot.start === value);
+  }
+};
+
+// Validation schemas per form type; fields without an entry fall back to their HTML attributes
+const VALIDATION_SCHEMAS = {
+  // Signing up again is allowed: the server updates the stored plan, so returning visitors can change it
+  'early-access': {
+    fields: {
+      email: { required: true, email: true, maxLength: 254 }
+    }
+  },
+  contact: {
+    fields: {
+      name: {
+        required: true,
+        pattern: 'name',
+        messages: { pattern: 'validation.name' }
+      },
+      email: { required: true, email: true, maxLength: 254 },
+      phone: { phone: true },
+      message: { required: true, maxLength: 5000 }
+    }
+  },
+  lead: {
+    fields: {
+      name: { pattern: 'name', messages: { pattern: 'validation.name' } },
+      email: { required: true, email: true, maxLength: 254 }
+    }
+  },
+  booking: {
+    fields: {
+      slot: {
+        required: true,
+        async: ['slotAvailable'],
+        messages: { required: 'scheduler.slotRequired', slotAvailable: 'scheduler.slotTaken' }
+      },
+      name: { required: true, pattern: 'name', messages: { pattern: 'validation.name' } },
+      email: { required: true, email: true, maxLength: 254 }
+    }
+  }
+};
+
+// Service catalog: the service cards, their lead flows and detail pages all come from
+// catalog/services.json. Text lives under services.<key> and leads.<key> in the locale catalogs.
+const SERVICES = {
+  items: [],
+
+  async load() {
+    const response = await fetch(CONFIG.SERVICES.CATALOG_URL, { headers: { 'Accept': 'application/json' } });
+    if (!response.ok) {
+      throw new Error(`Failed to load service catalog (${response.status})`);
+    }
+    const catalog = await response.json();
+    this.items = Array.isArray(catalog.services) ? catalog.services : [];
+    this.syncRoutes();
+    return this.items;
+  },
+
+  all() {
+    return this.items;
+  },
+
+  get(id) {
+    return this.items.find(service => service.id === id) || null;
+  },
+
+  // Only services with a detail page are valid /services/:service routes
+  syncRoutes() {
+    const route = CONFIG.ROUTES.find(r => r.path === '/services/:service');
+    if (route) {
+      route.params.service = this.items.filter(service => service.detailsPage).map(service => service.id);
+    }
+  }
+};
+
+// Pricing tiers, loaded from the service catalog entry that has `plans` (pet insurance).
+// Subscriptions are priced per pet and cover a number of claims per pet; claims beyond
+// that are charged at the tier's claim fee.
+const PET_PLANS = {
+  serviceId: null,
+  tiers: [],
+  defaults: { claims: 2, pets: 1 },
+  limits: {
+    claims: { min: 0, max: 50 },
+    pets: { min: 1, max: 10 }
+  },
+
+  // A null includedClaimsPerPet in the catalog means every claim is covered
+  load(service) {
+    this.serviceId = service.id;
+    this.tiers = service.plans.map(plan => ({
+      ...plan,
+      includedClaimsPerPet: plan.includedClaimsPerPet === null ? Infinity : plan.includedClaimsPerPet
+    }));
+  },
+
+  tier(id) {
+    return this.tiers.find(tier => tier.id === id) || null;
+  },
+
+  // Parameters for the service's pricing text: {<key>} is a tier's price (its annual fee, or the
+  // claim fee for a tier without one) and {<key>Claims} the claims it includes, when limited
+  pricingParams() {
+    const params = {};
+    this.tiers.forEach(tier => {
+      params[tier.key] = { currency: tier.annualFeePerPet > 0 ? tier.annualFeePerPet : tier.claimFee };
+      if (Number.isFinite(tier.includedClaimsPerPet) && tier.includedClaimsPerPet > 0) {
+        params[`${tier.key}Claims`] = { number: tier.includedClaimsPerPet };
+      }
+    });
+    return params;
+  },
+
+  // Yearly cost of a tier for the whole household, in currency units
+  cost(tier, claims, pets) {
+    const extraClaims = Math.max(0, claims - tier.includedClaimsPerPet * pets);
+    return Math.round((tier.annualFeePerPet * pets + extraClaims * tier.claimFee) * 100) / 100;
+  },
+
+  // Every tier with its cost, cheapest first
+  compare(claims, pets) {
+    return this.tiers
+      .map(tier => ({ tier, cost: this.cost(tier, claims, pets) }))
+      .sort((a, b) => a.cost - b.cost);
+  },
+
+  clamp(name, value) {
+    const { min, max } = this.limits[name];
+    const number = parseInt(value, 10);
+    if (Number.isNaN(number)) return this.defaults[name];
+    return Math.min(max, Math.max(min, number));
+  }
+};
+
+// Strategy call availability and calendar files
+const SCHEDULING = {
+  slots: [],
+
+  // The visitor's IANA time zone; slots are shown in it and it is stored with the booking
+  timeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  },
+
+  // Load open slots and announce them with a kbrj-slots-update event
+  async fetchSlots() {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), CONFIG.FORM_TIMEOUT);
+
+    try {
+      const response = await fetch(CONFIG.API_ENDPOINTS.SLOTS, {
+        headers: { 'Accept': 'application/json' },
+        cache: 'no-store',
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        throw new Error(`Failed to load slots (${response.status})`);
+      }
+
+      const body = await response.json();
+      const now = Date.now();
+      this.slots = (body.slots || [])
+        .filter(slot => new Date(slot.start).getTime() > now)
+        .sort((a, b) => new Date(a.start) - new Date(b.start));
+
+      window.dispatchEvent(new CustomEvent('kbrj-slots-update', { detail: { slots: this.slots } }));
+      return this.slots;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  },
+
+  // Slots grouped by the visitor's local calendar day, in order
+  groupByDay(slots) {
+    const days = new Map();
+    slots.forEach(slot => {
+      const day = I18N.formatDate(slot.start, { weekday: 'long', month: 'long', day: 'numeric' });
+      if (!days.has(day)) days.set(day, []);
+      days.get(day).push(slot);
+    });
+    return days;
+  },
+
+  // An iCalendar (RFC 5545) file for one booking
+  toICS({ uid, start, end, summary, description }) {
+    const stamp = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const escape = (text) => String(text).replace(/[\\;,]/g, match => `\\${match}`).replace(/\n/g, '\\n');
+    // Lines longer than 75 octets continue on the next line after a space
+    const encoder = new TextEncoder();
+    const fold = (line) => {
+      const parts = [''];
+      let octets = 0;
+      Array.from(line).forEach(char => {
+        const size = encoder.encode(char).length;
+        if (octets + size > 75) {
+          parts.push('');
+          octets = 1;
+        }
+        parts[parts.length - 1] += char;
+        octets += size;
+      });
+      return parts.join('\r\n ');
+    };
+
+    return [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//KBRJ Solutions//Strategy Call//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'BEGIN:VEVENT',
+      `UID:${uid}@kbrj-solutions`,
+      `DTSTAMP:${stamp(Date.now())}`,
+      `DTSTART:${stamp(start)}`,
+      `DTEND:${stamp(end)}`,
+      `SUMMARY:${escape(summary)}`,
+      `DESCRIPTION:${escape(description)}`,
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].map(fold).join('\r\n') + '\r\n';
   }
 };
 
-// Performance monitoring
-const PERFORMANCE = {
-  startTime: performance.now(),
-  metrics: {},
+// Schema-driven validation engine shared by blur, submit and payload checks
+const VALIDATION = {
+  // Build the effective schema for a form: config schema, then HTML and data-validate attributes
+  schemaFor(form, formType) {
+    const base = VALIDATION_SCHEMAS[formType] || {};
+    const schema = { fields: {}, checks: base.checks || [] };
+
+    form.querySelectorAll('input, textarea, select').forEach(field => {
+      if (!field.name || field.type === 'hidden') return;
+      schema.fields[field.name] = {
+        ...this.rulesFromAttributes(field),
+        ...(base.fields && base.fields[field.name])
+      };
+    });
+
+    return schema;
+  },
+
+  // Rules implied by native attributes plus data-validate="required minLength:2 pattern:name"
+  rulesFromAttributes(field) {
+    const rules = {};
+
+    if (field.hasAttribute('required')) rules.required = true;
+    if (field.type === 'email') rules.email = true;
+    if (field.type === 'tel') rules.phone = true;
+    if (field.minLength > 0) rules.minLength = field.minLength;
+    if (field.maxLength > 0) rules.maxLength = field.maxLength;
+
+    (field.dataset.validate || '').split(/\s+/).filter(Boolean).forEach(token => {
+      const [name, arg] = token.split(':');
+      if (name === 'async') {
+        rules.async = (rules.async || []).concat(arg);
+      } else {
+        rules[name] = arg === undefined ? true : arg;
+      }
+    });
+
+    // Custom messages: data-message-required="...", data-message-pattern="..."
+    Object.keys(field.dataset).forEach(key => {
+      if (key.startsWith('message') && key.length > 'message'.length) {
+        const rule = key.charAt(7).toLowerCase() + key.substring(8);
+        rules.messages = { ...rules.messages, [rule]: field.dataset[key] };
+      }
+    });
+
+    return rules;
+  },
+
+  valueOf(field) {
+    if (field.type === 'checkbox' || field.type === 'radio') {
+      return field.checked ? field.value : '';
+    }
+    return String(field.value || '').trim();
+  },
+
+  // Custom messages may be literal text or catalog keys; defaults come from validation.* in the catalog
+  message(rules, rule, arg) {
+    const custom = rules.messages && rules.messages[rule];
+    if (custom) {
+      return I18N.has(custom) ? I18N.t(custom, { arg }) : custom;
+    }
+    return I18N.t(I18N.has(`validation.${rule}`) ? `validation.${rule}` : 'validation.pattern', { arg });
+  },
+
+  // Run synchronous rules; returns an error message or null
+  check(rules, value, values) {
+    if (!value) {
+      return rules.required ? this.message(rules, 'required') : null;
+    }
+
+    for (const [rule, arg] of Object.entries(rules)) {
+      const test = VALIDATION_RULES[rule];
+      if (!test || rule === 'required' || arg === false) continue;
+      if (!test(value, arg, values)) {
+        return this.message(rules, rule, arg);
+      }
+    }
+
+    return null;
+  },
+
+  // Run asynchronous validators; network failures never block the visitor
+  async checkAsync(rules, value, values) {
+    if (!value || !rules.async) return null;
+
+    for (const name of rules.async) {
+      const validator = ASYNC_VALIDATORS[name];
+      if (!validator) continue;
+      try {
+        if (!(await validator.call(ASYNC_VALIDATORS, value, values))) {
+          return this.message(rules, name);
+        }
+      } catch (error) {
+        console.warn(`Async validator "${name}" failed:`, error);
+      }
+    }
+
+    return null;
+  },
+
+  // Schema-level cross-field checks; returns { fieldName: message }
+  checkCrossField(schema, values) {
+    const errors = {};
+    schema.checks.forEach(check => {
+      if (!errors[check.field] && !check.test(values)) {
+        errors[check.field] = check.message;
+      }
+    });
+    return errors;
+  },
+
+  // Validate a plain data object (e.g. the submission payload) against a schema
+  validateData(schema, data) {
+    const values = {};
+    Object.keys(schema.fields).forEach(name => {
+      values[name] = typeof data[name] === 'string' ? data[name].trim() : '';
+    });
+
+    const errors = {};
+    Object.entries(schema.fields).forEach(([name, rules]) => {
+      const message = this.check(rules, values[name], values);
+      if (message) errors[name] = message;
+    });
+
+    Object.entries(this.checkCrossField(schema, values)).forEach(([name, message]) => {
+      if (!errors[name]) errors[name] = message;
+    });
+
+    return { valid: Object.keys(errors).length === 0, errors };
+  }
+};
+
+// Path matching for CONFIG.ROUTES
+const ROUTER = {
+  // Match a pathname against the configured routes; returns { route, path, params } or null
+  match(pathname) {
+    const path = this.normalize(pathname);
+    const parts = path.split('/').filter(Boolean);
+
+    for (const route of CONFIG.ROUTES) {
+      const routeParts = route.path.split('/').filter(Boolean);
+      if (routeParts.length !== parts.length) continue;
+
+      const params = {};
+      const matches = routeParts.every((routePart, i) => {
+        if (!routePart.startsWith(':')) {
+          return routePart === parts[i];
+        }
+        const name = routePart.substring(1);
+        const allowed = route.params && route.params[name];
+        params[name] = decodeURIComponent(parts[i]);
+        return !allowed || allowed.includes(params[name]);
+      });
+
+      if (matches) {
+        return { route, path, params };
+      }
+    }
+
+    return null;
+  },
+
+  // Path of the first route that shows a section, for legacy #hash links
+  pathForSection(sectionId) {
+    const route = CONFIG.ROUTES.find(r => r.section === sectionId && !r.path.includes(':'));
+    return route ? route.path : null;
+  },
+
+  // Fill :params into a route template such as a fragment URL
+  build(template, params) {
+    return template.replace(/:(\w+)/g, (_, name) => encodeURIComponent(params[name]));
+  },
+
+  // Strip trailing slashes so /services/ and /services match the same route
+  normalize(pathname) {
+    return pathname.replace(/\/+$/, '') || '/';
+  }
+};
+
+// Visitor consent by category; "necessary" is always granted
+const CONSENT = {
+  categories: ['necessary', 'analytics', 'marketing'],
+  state: null,
+  listeners: [],
+
+  // Read the stored decision, ignoring it if it is outdated or expired
+  load() {
+    this.state = null;
+    try {
+      const stored = JSON.parse(localStorage.getItem(CONFIG.CONSENT.STORAGE_KEY));
+      const isCurrent = stored &&
+        stored.version === CONFIG.CONSENT.VERSION &&
+        Date.now() - stored.updatedAt < CONFIG.CONSENT.MAX_AGE;
+      if (isCurrent) {
+        this.state = stored;
+      }
+    } catch (error) {
+      this.state = null;
+    }
+    return this.state;
+  },
+
+  hasDecided() {
+    return this.state !== null;
+  },
+
+  allows(category) {
+    if (category === 'necessary') return true;
+    return Boolean(this.state && this.state.categories[category]);
+  },
+
+  // Store a decision such as { analytics: true, marketing: false }
+  update(choices) {
+    const categories = {};
+    this.categories.forEach(category => {
+      categories[category] = category === 'necessary' || Boolean(choices[category]);
+    });
+
+    this.state = { version: CONFIG.CONSENT.VERSION, categories, updatedAt: Date.now() };
+    try {
+      localStorage.setItem(CONFIG.CONSENT.STORAGE_KEY, JSON.stringify(this.state));
+    } catch (error) {
+      // Storage unavailable - the decision still applies for this page view
+    }
+
+    this.listeners.forEach(listener => listener(this.state));
+  },
+
+  // Returns a function that unsubscribes
+  onChange(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(item => item !== listener);
+    };
+  }
+};
+
+// Strips personal data from analytics payloads before they leave the page
+const PRIVACY = {
+  // Keys whose values are user-entered free text and are never sent
+  redactedKeys: ['email', 'phone', 'name', 'message', 'text', 'value', 'comment', 'notes'],
+  patterns: {
+    email: /[^\s@<>()"',;:]+@[^\s@<>()"',;:]+\.[^\s@<>()"',;:]+/g,
+    phone: /\+?\d[\d\s().-]{6,}\d/g
+  },
+  maxStringLength: 100,
+
+  redact(value, key = '') {
+    if (this.redactedKeys.includes(key.toLowerCase())) {
+      return '[redacted]';
+    }
+    if (typeof value === 'string') {
+      return this.scrub(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item));
+    }
+    if (value && typeof value === 'object') {
+      const result = {};
+      Object.entries(value).forEach(([childKey, childValue]) => {
+        result[childKey] = this.redact(childValue, childKey);
+      });
+      return result;
+    }
+    return value;
+  },
+
+  // Replace emails and phone numbers inside a string and cap its length
+  scrub(text) {
+    return text
+      .replace(this.patterns.email, '[email]')
+      .replace(this.patterns.phone, '[phone]')
+      .substring(0, this.maxStringLength);
+  }
+};
+
+// Color theme: the visitor's stored choice, otherwise the system setting, applied as <html data-theme>
+const THEME = {
+  preference: null,
+  media: null,
+  listeners: [],
+
+  load() {
+    this.preference = null;
+    try {
+      const stored = localStorage.getItem(CONFIG.THEME.STORAGE_KEY);
+      if (CONFIG.THEME.THEMES.includes(stored)) {
+        this.preference = stored;
+      }
+    } catch (error) {
+      // Storage unavailable - follow the system setting
+    }
+
+    if (!this.media && window.matchMedia) {
+      this.media = window.matchMedia('(prefers-color-scheme: dark)');
+      this.handleSystemChange = this.handleSystemChange.bind(this);
+      this.media.addEventListener('change', this.handleSystemChange);
+    }
+
+    this.apply();
+  },
+
+  current() {
+    return this.preference || (this.media && this.media.matches ? 'dark' : 'light');
+  },
+
+  apply() {
+    const theme = this.current();
+    document.documentElement.setAttribute('data-theme', theme);
+    this.listeners.forEach(listener => listener(theme));
+  },
+
+  // Store an explicit choice; null goes back to following the system
+  set(theme) {
+    this.preference = CONFIG.THEME.THEMES.includes(theme) ? theme : null;
+    try {
+      if (this.preference) {
+        localStorage.setItem(CONFIG.THEME.STORAGE_KEY, this.preference);
+      } else {
+        localStorage.removeItem(CONFIG.THEME.STORAGE_KEY);
+      }
+    } catch (error) {
+      // Storage unavailable - the choice still applies for this page view
+    }
+    this.apply();
+  },
+
+  toggle() {
+    this.set(this.current() === 'dark' ? 'light' : 'dark');
+  },
+
+  // System changes only matter while the visitor hasn't chosen
+  handleSystemChange() {
+    if (!this.preference) this.apply();
+  },
+
+  // Returns a function that unsubscribes
+  onChange(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(item => item !== listener);
+    };
+  }
+};
+
+// Motion: owns staggered reveals and smooth scrolling, and switches them off when the visitor
+// asks for less motion (system setting or the in-page toggle), applied as <html data-motion>
+const MOTION = {
+  preference: null,
+  media: null,
+  listeners: [],
+
+  load() {
+    this.preference = null;
+    try {
+      const stored = localStorage.getItem(CONFIG.MOTION.STORAGE_KEY);
+      if (stored === 'reduced' || stored === 'full') {
+        this.preference = stored;
+      }
+    } catch (error) {
+      // Storage unavailable - follow the system setting
+    }
+
+    if (!this.media && window.matchMedia) {
+      this.media = window.matchMedia('(prefers-reduced-motion: reduce)');
+      this.handleSystemChange = this.handleSystemChange.bind(this);
+      this.media.addEventListener('change', this.handleSystemChange);
+    }
+
+    this.apply();
+  },
+
+  isReduced() {
+    if (this.preference) return this.preference === 'reduced';
+    return Boolean(this.media && this.media.matches);
+  },
+
+  apply() {
+    const motion = this.isReduced() ? 'reduced' : 'full';
+    document.documentElement.setAttribute('data-motion', motion);
+    this.listeners.forEach(listener => listener(motion));
+  },
+
+  // Store 'reduced' or 'full'; null goes back to following the system
+  set(preference) {
+    this.preference = preference === 'reduced' || preference === 'full' ? preference : null;
+    try {
+      if (this.preference) {
+        localStorage.setItem(CONFIG.MOTION.STORAGE_KEY, this.preference);
+      } else {
+        localStorage.removeItem(CONFIG.MOTION.STORAGE_KEY);
+      }
+    } catch (error) {
+      // Storage unavailable - the choice still applies for this page view
+    }
+    this.apply();
+  },
+
+  toggle() {
+    this.set(this.isReduced() ? 'full' : 'reduced');
+  },
+
+  handleSystemChange() {
+    if (!this.preference) this.apply();
+  },
+
+  // Returns a function that unsubscribes
+  onChange(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(item => item !== listener);
+    };
+  },
+
+  // Delay for the index-th item of a staggered sequence
+  delay(index, step = CONFIG.ANIMATION_DELAY) {
+    return this.isReduced() ? 0 : index * step;
+  },
+
+  scrollBehavior(behavior = 'smooth') {
+    return this.isReduced() ? 'auto' : behavior;
+  },
+
+  // Reveal .reveal-item elements one after another; CSS does the transition
+  reveal(elements, step = CONFIG.ANIMATION_DELAY) {
+    Array.from(elements).forEach((element, index) => {
+      element.style.setProperty('--motion-delay', `${this.delay(index, step)}ms`);
+      element.classList.add('is-revealed');
+    });
+  }
+};
+
+// A/B experiments: every visitor gets a weighted variant per experiment, picked from a hash of a
+// random id, and applied to [data-experiment] nodes before first paint. The id is only stored,
+// keeping the variant stable across visits, once the visitor allows analytics.
+const EXPERIMENTS = {
+  visitor: null,
+  assignments: {},
+  overrides: {},
+
+  // Assign and apply every experiment; runs while script.js is parsed, not in init()
+  init() {
+    CONSENT.load();
+    this.load();
+    this.overrides = this.parseOverrides(window.location.search);
+
+    CONFIG.EXPERIMENTS.DEFINITIONS.forEach(experiment => {
+      // Keep an earlier assignment as long as that variant still exists
+      if (!this.findVariant(experiment, this.assignments[experiment.id])) {
+        this.assignments[experiment.id] = this.bucket(experiment).id;
+      }
+    });
+
+    this.save();
+    this.apply();
+  },
+
+  load() {
+    let stored = null;
+    try {
+      stored = JSON.parse(localStorage.getItem(CONFIG.EXPERIMENTS.STORAGE_KEY));
+    } catch (error) {
+      stored = null;
+    }
+
+    this.visitor = stored && typeof stored.visitor === 'string' ? stored.visitor : SECURITY.generateId();
+    this.assignments = stored && stored.assignments && typeof stored.assignments === 'object' ? { ...stored.assignments } : {};
+  },
+
+  // Without analytics consent the id and assignments stay in memory for this page view only
+  save() {
+    try {
+      if (CONSENT.allows('analytics')) {
+        localStorage.setItem(CONFIG.EXPERIMENTS.STORAGE_KEY, JSON.stringify({
+          visitor: this.visitor,
+          assignments: this.assignments
+        }));
+      } else {
+        localStorage.removeItem(CONFIG.EXPERIMENTS.STORAGE_KEY);
+      }
+    } catch (error) {
+      // Storage unavailable - the hash still gives the same variant until the id is lost
+    }
+  },
+
+  // "id:variant,id:variant" from the query string; unknown experiments or variants are ignored
+  parseOverrides(search) {
+    const overrides = {};
+    const value = new URLSearchParams(search).get(CONFIG.EXPERIMENTS.QUERY_PARAM);
+    if (!value) return overrides;
+
+    value.split(',').forEach(pair => {
+      const [id, variantId] = pair.split(':').map(part => part.trim());
+      const experiment = this.get(id);
+      if (experiment && this.findVariant(experiment, variantId)) {
+        overrides[id] = variantId;
+      }
+    });
+    return overrides;
+  },
+
+  get(id) {
+    return CONFIG.EXPERIMENTS.DEFINITIONS.find(experiment => experiment.id === id) || null;
+  },
+
+  findVariant(experiment, variantId) {
+    return experiment.variants.find(variant => variant.id === variantId) || null;
+  },
+
+  // Weighted pick; the same visitor and experiment always hash to the same point
+  bucket(experiment) {
+    const weightOf = variant => (variant.weight === undefined ? 1 : variant.weight);
+    const total = experiment.variants.reduce((sum, variant) => sum + weightOf(variant), 0);
+    let point = (this.hash(`${this.visitor}:${experiment.id}`) / 0x100000000) * total;
+
+    for (const variant of experiment.variants) {
+      point -= weightOf(variant);
+      if (point < 0) return variant;
+    }
+    return experiment.variants[experiment.variants.length - 1];
+  },
+
+  // 32-bit FNV-1a
+  hash(input) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < input.length; i++) {
+      hash ^= input.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  },
+
+  variant(id) {
+    return this.overrides[id] || this.assignments[id] || null;
+  },
+
+  // [{ experiment, variant, forced }] for every experiment with a variant
+  active() {
+    return CONFIG.EXPERIMENTS.DEFINITIONS
+      .filter(experiment => this.variant(experiment.id))
+      .map(experiment => ({
+        experiment: experiment.id,
+        variant: this.variant(experiment.id),
+        forced: Boolean(this.overrides[experiment.id])
+      }));
+  },
+
+  // "hero-headline:outcome,cta-label:control", for tagging events
+  summary() {
+    return this.active().map(({ experiment, variant }) => `${experiment}:${variant}`).join(',');
+  },
+
+  targets(id, root = document) {
+    return root.querySelectorAll(`[data-experiment="${id}"]`);
+  },
+
+  // Swap text, i18n keys and attributes, then reveal the nodes <head> hid
+  apply(root = document) {
+    CONFIG.EXPERIMENTS.DEFINITIONS.forEach(experiment => {
+      const variant = this.findVariant(experiment, this.variant(experiment.id));
+      if (!variant) return;
+
+      this.targets(experiment.id, root).forEach(element => {
+        element.dataset.variant = variant.id;
+      });
+
+      (variant.changes || []).forEach(change => {
+        const elements = change.selector ? root.querySelectorAll(change.selector) : this.targets(experiment.id, root);
+        elements.forEach(element => this.applyChange(element, change));
+      });
+    });
+
+    document.documentElement.classList.remove('experiments-pending');
+  },
+
+  applyChange(element, change) {
+    if (change.i18n) {
+      element.dataset.i18n = change.i18n;
+    }
+    if (change.text !== undefined) {
+      element.textContent = change.text;
+    } else if (change.i18n) {
+      // Never leave the control copy showing under the variant's key
+      element.textContent = I18N.has(change.i18n) ? I18N.t(change.i18n, I18N.parseParams(element)) : '';
+    }
+    Object.entries(change.attrs || {}).forEach(([name, value]) => element.setAttribute(name, value));
+  }
+};
+
+// Submission errors, typed so the UI can tell user mistakes apart from outages
+class SubmissionError extends Error {
+  constructor(message, { status = 0, retryable = false } = {}) {
+    super(message);
+    this.name = 'SubmissionError';
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+// Server rejected one or more fields (4xx with a `fields` map)
+class ValidationError extends SubmissionError {
+  constructor(message, fieldErrors = {}, status = 422) {
+    super(message, { status });
+    this.name = 'ValidationError';
+    this.fieldErrors = fieldErrors;
+  }
+}
+
+// Server failed (5xx) - worth retrying
+class ServerError extends SubmissionError {
+  constructor(message, status) {
+    super(message, { status, retryable: true });
+    this.name = 'ServerError';
+  }
+}
+
+// Request never got a response (offline, DNS, CORS, aborted)
+class NetworkError extends SubmissionError {
+  constructor(message) {
+    super(message, { retryable: true });
+    this.name = 'NetworkError';
+  }
+}
+
+// Request took longer than CONFIG.FORM_TIMEOUT
+class TimeoutError extends NetworkError {
+  constructor(message) {
+    super(message);
+    this.name = 'TimeoutError';
+  }
+}
+
+// HTTP transport for form submissions
+const TRANSPORT = {
+  // POST JSON with retries and exponential backoff on retryable failures
+  async send(url, payload, options = {}) {
+    const maxAttempts = options.maxAttempts || CONFIG.RETRY.MAX_ATTEMPTS;
+    let attempt = 0;
+
+    while (true) {
+      attempt++;
+      try {
+        return await this.request(url, payload, options);
+      } catch (error) {
+        if (!error.retryable || attempt >= maxAttempts) {
+          throw error;
+        }
+        await this.wait(error.retryAfter || this.backoffDelay(attempt));
+      }
+    }
+  },
+
+  // Single POST attempt, aborted after the configured timeout
+  async request(url, payload, { headers = {}, timeout = CONFIG.FORM_TIMEOUT } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    let response;
+
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json',
+          ...headers
+        },
+        body: JSON.stringify(payload),
+        credentials: 'same-origin',
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new TimeoutError(I18N.t('errors.timeout'));
+      }
+      throw new NetworkError(I18N.t('errors.network'));
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const body = await this.parseBody(response);
+
+    if (response.ok) {
+      return body;
+    }
+
+    throw this.toError(response, body);
+  },
+
+  // Parse a JSON body, tolerating empty or non-JSON responses
+  async parseBody(response) {
+    try {
+      const text = await response.text();
+      return text ? JSON.parse(text) : {};
+    } catch (error) {
+      return {};
+    }
+  },
+
+  // Map an HTTP error response to a typed error
+  toError(response, body) {
+    const status = response.status;
+    const message = body.message || `Request failed with status ${status}`;
+
+    if (status >= 500) {
+      return new ServerError(I18N.t('errors.server'), status);
+    }
+
+    if (status === 408 || status === 429) {
+      const error = new SubmissionError(message, { status, retryable: true });
+      const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+      if (retryAfter > 0) {
+        error.retryAfter = Math.min(retryAfter * 1000, CONFIG.RETRY.MAX_DELAY);
+      }
+      return error;
+    }
+
+    if (body.fields && Object.keys(body.fields).length > 0) {
+      return new ValidationError(message, body.fields, status);
+    }
+
+    return new SubmissionError(message, { status });
+  },
+
+  // Exponential backoff with jitter
+  backoffDelay(attempt) {
+    const delay = CONFIG.RETRY.BASE_DELAY * Math.pow(2, attempt - 1);
+    const jitter = Math.random() * CONFIG.RETRY.BASE_DELAY;
+    return Math.min(delay + jitter, CONFIG.RETRY.MAX_DELAY);
+  },
+
+  wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+};
+
+// Server-issued CSRF tokens, bound to an HttpOnly cookie set by the same response
+const CSRF = {
+  token: null,
+  expiresAt: 0,
+  pending: null,
+
+  // Current token, fetching a new one when there is none or it is about to expire
+  async get() {
+    if (this.token && Date.now() < this.expiresAt - CONFIG.CSRF.REFRESH_MARGIN) {
+      return this.token;
+    }
+    return this.refresh();
+  },
+
+  // Concurrent callers share one request
+  refresh() {
+    if (!this.pending) {
+      this.pending = this.fetchToken().finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  },
+
+  // Failures use the transport's error classes so submissions can still be queued and retried
+  async fetchToken() {
+    let response;
+    try {
+      response = await fetch(CONFIG.API_ENDPOINTS.CSRF, {
+        headers: { 'Accept': 'application/json' },
+        credentials: 'same-origin',
+        cache: 'no-store'
+      });
+    } catch (error) {
+      throw new NetworkError(I18N.t('errors.network'));
+    }
+
+    if (response.status >= 500) {
+      throw new ServerError(I18N.t('errors.server'), response.status);
+    }
+    if (!response.ok) {
+      throw new SubmissionError(I18N.t('errors.session'), { status: response.status });
+    }
+
+    const body = await response.json();
+    this.token = body.token;
+    this.expiresAt = body.expiresAt;
+
+    // Keep the hidden _csrf inputs current for anything that reads the form directly
+    document.querySelectorAll('input[name="_csrf"]').forEach(input => {
+      input.value = this.token;
+    });
+    return this.token;
+  },
+
+  invalidate() {
+    this.token = null;
+    this.expiresAt = 0;
+  },
+
+  // POST through TRANSPORT with the token as header and _csrf field; a 403 gets one retry with a fresh token
+  async send(url, payload, options = {}) {
+    const attempt = async () => {
+      const token = await this.get();
+      return TRANSPORT.send(url, { ...payload, _csrf: token }, {
+        ...options,
+        headers: { ...options.headers, [CONFIG.CSRF.HEADER]: token }
+      });
+    };
+
+    try {
+      return await attempt();
+    } catch (error) {
+      if (error.status !== 403) throw error;
+      this.invalidate();
+      return attempt();
+    }
+  }
+};
+
+// Bot defenses that need no third party: submission log for rate limiting and proof-of-work
+const BOT_GUARD = {
+  // Submission timestamps per form type, kept in localStorage so limits survive reloads
+  loadLog(log) {
+    try {
+      const stored = JSON.parse(localStorage.getItem(CONFIG.SPAM.STORAGE_KEY)) || {};
+      Object.entries(stored).forEach(([formType, timestamps]) => {
+        if (Array.isArray(timestamps)) log.set(formType, timestamps.filter(Number.isFinite));
+      });
+    } catch (error) {
+      console.warn('Failed to read submission log:', error);
+    }
+  },
+
+  saveLog(log) {
+    try {
+      localStorage.setItem(CONFIG.SPAM.STORAGE_KEY, JSON.stringify(Object.fromEntries(log)));
+    } catch (error) {
+      console.warn('Failed to save submission log:', error);
+    }
+  },
+
+  // Timestamps still inside the rate limit window
+  recent(log, formType, now = Date.now()) {
+    return (log.get(formType) || []).filter(timestamp => now - timestamp < CONFIG.SPAM.RATE_LIMIT.WINDOW);
+  },
+
+  leadingZeroBits(bytes) {
+    let bits = 0;
+    for (const byte of bytes) {
+      if (byte === 0) {
+        bits += 8;
+        continue;
+      }
+      bits += Math.clz32(byte) - 24;
+      break;
+    }
+    return bits;
+  },
+
+  // Find a nonce whose SHA-256 with the challenge starts with `difficulty` zero bits
+  async solve(challenge, difficulty) {
+    const { MAX_DIFFICULTY, MAX_ATTEMPTS, BATCH_SIZE } = CONFIG.SPAM.PROOF_OF_WORK_LIMITS;
+    if (!Number.isInteger(difficulty) || difficulty < 0 || difficulty > MAX_DIFFICULTY) {
+      throw new SubmissionError(I18N.t('errors.generic'));
+    }
+
+    // Awaiting one digest at a time is mostly overhead, so nonces are hashed in batches
+    const encoder = new TextEncoder();
+    for (let start = 0; start < MAX_ATTEMPTS; start += BATCH_SIZE) {
+      const nonces = Array.from({ length: Math.min(BATCH_SIZE, MAX_ATTEMPTS - start) }, (_, i) => start + i);
+      const digests = await Promise.all(nonces.map(nonce => (
+        crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${nonce}`))
+      )));
+      const index = digests.findIndex(digest => this.leadingZeroBits(new Uint8Array(digest)) >= difficulty);
+      if (index !== -1) {
+        return nonces[index];
+      }
+    }
+    throw new SubmissionError(I18N.t('errors.generic'));
+  },
+
+  // Fetch a challenge from the server and return the solved fields to send with a submission
+  async prove() {
+    let response;
+    try {
+      response = await fetch(CONFIG.API_ENDPOINTS.CHALLENGE, {
+        headers: { 'Accept': 'application/json' },
+        cache: 'no-store'
+      });
+    } catch (error) {
+      throw new NetworkError(I18N.t('errors.network'));
+    }
+
+    if (response.status >= 500) {
+      throw new ServerError(I18N.t('errors.server'), response.status);
+    }
+    if (!response.ok) {
+      throw new SubmissionError(I18N.t('errors.generic'), { status: response.status });
+    }
+
+    const { challenge, difficulty } = await response.json();
+    return { _challenge: challenge, _nonce: String(await this.solve(challenge, difficulty)) };
+  }
+};
+
+// Submissions saved while offline, replayed in order once the API is reachable
+const SUBMISSION_QUEUE = {
+  // Read queued entries, dropping any that are too old to be worth sending
+  entries() {
+    let entries = [];
+    try {
+      entries = JSON.parse(localStorage.getItem(CONFIG.QUEUE.STORAGE_KEY)) || [];
+    } catch (error) {
+      entries = [];
+    }
+    const cutoff = Date.now() - CONFIG.QUEUE.MAX_AGE;
+    return entries.filter(entry => entry && entry.id && entry.queuedAt > cutoff);
+  },
+
+  save(entries) {
+    try {
+      if (entries.length > 0) {
+        localStorage.setItem(CONFIG.QUEUE.STORAGE_KEY, JSON.stringify(entries));
+      } else {
+        localStorage.removeItem(CONFIG.QUEUE.STORAGE_KEY);
+      }
+      return true;
+    } catch (error) {
+      // Storage full or disabled (e.g. private browsing)
+      return false;
+    }
+  },
+
+  // Add a submission; returns false if it could not be stored
+  enqueue(entry) {
+    const entries = this.entries().filter(existing => existing.id !== entry.id);
+    entries.push({ ...entry, queuedAt: Date.now(), attempts: 0 });
+    return this.save(entries.slice(-CONFIG.QUEUE.MAX_ENTRIES));
+  },
+
+  remove(id) {
+    this.save(this.entries().filter(entry => entry.id !== id));
+  },
+
+  markAttempt(id) {
+    this.save(this.entries().map(entry => (
+      entry.id === id ? { ...entry, attempts: entry.attempts + 1 } : entry
+    )));
+  },
+
+  get size() {
+    return this.entries().length;
+  }
+};
+
+// Fixed-size buffer that overwrites its oldest entries
+class RingBuffer {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.items = new Array(capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+
+  push(item) {
+    const index = (this.start + this.length) % this.capacity;
+    this.items[index] = item;
+    if (this.length < this.capacity) {
+      this.length++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  // Oldest first
+  toArray() {
+    return Array.from({ length: this.length }, (_, i) => this.items[(this.start + i) % this.capacity]);
+  }
+
+  // The most recent `count` entries, oldest first
+  last(count) {
+    return this.toArray().slice(-count);
+  }
+
+  clear() {
+    this.items = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+}
+
+// Owns what a component sets up: listeners (through one AbortController), observers, timers,
+// injected nodes and changed classes or attributes. close() undoes all of it, newest first
+class LifecycleScope {
+  constructor() {
+    this.controller = new AbortController();
+    this.cleanups = [];
+  }
+
+  get signal() {
+    return this.controller.signal;
+  }
+
+  get closed() {
+    return this.signal.aborted;
+  }
+
+  listen(target, type, handler, options = {}) {
+    target.addEventListener(type, handler, { ...options, signal: this.signal });
+  }
+
+  // Run cleanup on close; the returned function drops it without running it
+  defer(cleanup) {
+    this.cleanups.push(cleanup);
+    return () => {
+      this.cleanups = this.cleanups.filter(item => item !== cleanup);
+    };
+  }
+
+  observe(observer) {
+    this.defer(() => observer.disconnect());
+    return observer;
+  }
+
+  timeout(callback, delay) {
+    const id = setTimeout(callback, delay);
+    this.defer(() => clearTimeout(id));
+    return id;
+  }
+
+  // A node the component inserted; removed on close
+  adopt(node) {
+    this.defer(() => node.remove());
+    return node;
+  }
+
+  // Only classes that weren't there already are removed again
+  addClass(element, ...names) {
+    const added = names.filter(name => !element.classList.contains(name));
+    element.classList.add(...added);
+    this.defer(() => element.classList.remove(...added));
+  }
+
+  setAttribute(element, name, value) {
+    this.preserve(element, name);
+    element.setAttribute(name, value);
+  }
+
+  // Put attributes back exactly as they are now, for ones that keep changing while the scope is open
+  preserve(element, ...names) {
+    const saved = names.map(name => [name, element.getAttribute(name)]);
+    this.defer(() => {
+      saved.forEach(([name, value]) => {
+        if (value === null) {
+          element.removeAttribute(name);
+        } else {
+          element.setAttribute(name, value);
+        }
+      });
+    });
+  }
+
+  // Closes with this scope, or earlier on its own (e.g. a dialog's)
+  child() {
+    const scope = new LifecycleScope();
+    scope.defer(this.defer(() => scope.close()));
+    return scope;
+  }
+
+  close() {
+    if (this.closed) return;
+    this.controller.abort();
+
+    this.cleanups.splice(0).reverse().forEach(cleanup => {
+      try {
+        cleanup();
+      } catch (error) {
+        MONITORING.capture(error, { context: 'lifecycle' });
+      }
+    });
+  }
+}
+
+// App event types and the payload fields each one must carry; plugins can define more
+const EVENT_TYPES = {
+  'app:ready': [],
+  'app:destroy': [],
+  'route:changed': ['path', 'section', 'params', 'previousPath', 'trigger'],
+  'section:visible': ['id', 'element'],
+  'form:submitted': ['formType', 'form', 'result'],
+  'form:failed': ['formType', 'form', 'error'],
+  'locale:changed': ['locale', 'previous'],
+  'theme:changed': ['theme'],
+  'motion:changed': ['motion'],
+  'consent:changed': ['categories'],
+  'event:tracked': ['event']
+};
+
+// Typed pub/sub: unknown types and payloads missing declared fields throw, so typos fail loudly.
+// A throwing handler is reported and doesn't stop the others
+class EventBus {
+  constructor(types = {}) {
+    this.types = new Map(Object.entries(types));
+    this.handlers = new Map();
+  }
+
+  // Defining a type again with the same fields is a no-op, so a plugin's init can run on every app init
+  define(type, fields = []) {
+    const existing = this.types.get(type);
+    if (existing) {
+      if (existing.length === fields.length && existing.every((name, i) => name === fields[i])) return;
+      throw new TypeError(`Event type already defined with other fields: ${type}`);
+    }
+    this.types.set(type, [...fields]);
+  }
+
+  // Returns a function that unsubscribes
+  on(type, handler) {
+    this.assertType(type);
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, new Set());
+    }
+    this.handlers.get(type).add(handler);
+    return () => this.off(type, handler);
+  }
+
+  once(type, handler) {
+    const off = this.on(type, payload => {
+      off();
+      handler(payload);
+    });
+    return off;
+  }
+
+  off(type, handler) {
+    const handlers = this.handlers.get(type);
+    if (handlers) handlers.delete(handler);
+  }
+
+  emit(type, payload = {}) {
+    this.assertType(type);
+    const missing = this.types.get(type).filter(field => !(field in payload));
+    if (missing.length) {
+      throw new TypeError(`${type} payload is missing ${missing.join(', ')}`);
+    }
+
+    // Copy so handlers can unsubscribe while the event is going out
+    Array.from(this.handlers.get(type) || []).forEach(handler => {
+      try {
+        handler(payload);
+      } catch (error) {
+        MONITORING.capture(error, { context: `event:${type}` });
+      }
+    });
+  }
+
+  assertType(type) {
+    if (!this.types.has(type)) {
+      throw new TypeError(`Unknown event type: ${type}`);
+    }
+  }
+
+  clear() {
+    this.handlers.clear();
+  }
+}
+
+// Plugins: { name, deps, init(context), ready(context), destroy(context) }. Hooks may be async and
+// run in dependency order; a plugin whose hook fails, or whose dependency didn't start, is skipped
+class PluginHost {
+  constructor(app) {
+    this.app = app;
+    this.plugins = new Map();
+    this.started = [];
+    this.failed = new Set();
+    this.phase = 'idle';
+  }
+
+  register(plugin) {
+    if (!plugin || typeof plugin.name !== 'string' || !plugin.name) {
+      throw new TypeError('A plugin needs a name');
+    }
+    if (this.plugins.has(plugin.name)) {
+      throw new TypeError(`Plugin already registered: ${plugin.name}`);
+    }
+    ['init', 'ready', 'destroy'].forEach(hook => {
+      if (plugin[hook] !== undefined && typeof plugin[hook] !== 'function') {
+        throw new TypeError(`Plugin ${plugin.name}: ${hook} must be a function`);
+      }
+    });
+
+    const entry = { plugin, deps: plugin.deps || [], subscriptions: [], context: null };
+    entry.context = this.createContext(entry);
+    this.plugins.set(plugin.name, entry);
+
+    // Registered after the app started: bring it up on its own
+    if (this.phase !== 'idle') {
+      this.start(entry).then(started => {
+        if (started && this.phase === 'ready') this.runHook(entry, 'ready');
+      });
+    }
+  }
+
+  // What hooks receive; subscriptions made through `on` end with the plugin
+  createContext(entry) {
+    const { bus } = this.app;
+    return {
+      name: entry.plugin.name,
+      app: this.app,
+      bus,
+      on: (type, handler) => {
+        const off = bus.on(type, handler);
+        entry.subscriptions.push(off);
+        return off;
+      },
+      emit: (type, payload) => bus.emit(type, payload)
+    };
+  }
+
+  // Depth-first: dependencies before dependents, in registration order otherwise
+  resolveOrder() {
+    const order = [];
+    const visiting = new Set();
+    const visited = new Set();
+
+    const visit = (name, path) => {
+      if (visited.has(name)) return;
+      if (visiting.has(name)) {
+        throw new Error(`Plugin dependency cycle: ${[...path, name].join(' -> ')}`);
+      }
+      visiting.add(name);
+      const entry = this.plugins.get(name);
+      entry.deps.filter(dep => this.plugins.has(dep)).forEach(dep => visit(dep, [...path, name]));
+      visiting.delete(name);
+      visited.add(name);
+      order.push(entry);
+    };
+
+    this.plugins.forEach((entry, name) => visit(name, []));
+    return order;
+  }
+
+  async init() {
+    this.phase = 'init';
+    let order = [];
+    try {
+      order = this.resolveOrder();
+    } catch (error) {
+      MONITORING.capture(error, { context: 'plugins' });
+    }
+    for (const entry of order) {
+      await this.start(entry);
+    }
+  }
+
+  async start(entry) {
+    const { name } = entry.plugin;
+    const missing = entry.deps.filter(dep => !this.started.includes(this.plugins.get(dep)));
+    if (missing.length) {
+      this.failed.add(name);
+      MONITORING.capture(new Error(`Plugin ${name} skipped: ${missing.join(', ')} did not start`), { context: `plugin:${name}` });
+      return false;
+    }
+
+    if (!await this.runHook(entry, 'init')) {
+      this.failed.add(name);
+      this.unsubscribe(entry);
+      return false;
+    }
+    this.started.push(entry);
+    return true;
+  }
+
+  ready() {
+    this.phase = 'ready';
+    this.started.forEach(entry => this.runHook(entry, 'ready'));
+  }
+
+  // Dependents first, then their dependencies; hooks are started in turn but not awaited,
+  // so teardown stays synchronous like the app's own
+  destroy() {
+    const started = this.started.reverse();
+    this.started = [];
+    started.forEach(entry => {
+      this.runHook(entry, 'destroy');
+      this.unsubscribe(entry);
+    });
+    this.failed.clear();
+    this.phase = 'idle';
+  }
+
+  // Resolves to false if the hook threw or rejected
+  async runHook(entry, hook) {
+    if (!entry.plugin[hook]) return true;
+    try {
+      await entry.plugin[hook](entry.context);
+      return true;
+    } catch (error) {
+      MONITORING.capture(error, { context: `plugin:${entry.plugin.name}:${hook}` });
+      return false;
+    }
+  }
+
+  unsubscribe(entry) {
+    entry.subscriptions.forEach(off => off());
+    entry.subscriptions = [];
+  }
+
+  has(name) {
+    return this.started.some(entry => entry.plugin.name === name);
+  }
+}
+
+// Accessible modal dialog: scoped focus trap, Escape to close, inert background and scroll lock
+class Dialog {
+  constructor({ title = '', content = null, className = '', closeOnBackdrop = true, onClose = null } = {}) {
+    Dialog.count += 1;
+    this.id = `dialog-${Dialog.count}`;
+    this.closeOnBackdrop = closeOnBackdrop;
+    this.onClose = onClose;
+    this.opener = null;
+    this.inertElements = [];
+
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.handleBackdropClick = this.handleBackdropClick.bind(this);
+
+    this.backdrop = document.createElement('div');
+    this.backdrop.className = 'dialog-backdrop';
+    this.backdrop.hidden = true;
+
+    this.element = document.createElement('div');
+    this.element.className = `dialog ${className}`.trim();
+    this.element.setAttribute('role', 'dialog');
+    this.element.setAttribute('aria-modal', 'true');
+    this.element.setAttribute('aria-labelledby', `${this.id}-title`);
+    this.element.tabIndex = -1;
+
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'dialog-close';
+    closeButton.dataset.i18nAttr = 'aria-label:dialog.close';
+    closeButton.setAttribute('aria-label', I18N.t('dialog.close'));
+    closeButton.innerHTML = '<span aria-hidden="true">&times;</span>';
+    closeButton.addEventListener('click', () => this.close('button'));
+
+    this.titleElement = document.createElement('h2');
+    this.titleElement.className = 'dialog-title';
+    this.titleElement.id = `${this.id}-title`;
+
+    this.body = document.createElement('div');
+    this.body.className = 'dialog-body';
+
+    this.element.append(closeButton, this.titleElement, this.body);
+    this.backdrop.appendChild(this.element);
+
+    this.setTitle(title);
+    if (content) this.setContent(content);
+  }
+
+  get isOpen() {
+    return !this.backdrop.hidden;
+  }
+
+  setTitle(title) {
+    this.titleElement.textContent = title;
+  }
+
+  // Accepts a Node, or a string that is inserted as text
+  setContent(content) {
+    this.body.replaceChildren(typeof content === 'string' ? document.createTextNode(content) : content);
+  }
+
+  open({ opener = document.activeElement, initialFocus = null } = {}) {
+    if (this.isOpen) return;
+
+    this.opener = opener;
+    if (!this.backdrop.isConnected) {
+      document.body.appendChild(this.backdrop);
+    }
+
+    this.backdrop.hidden = false;
+    Dialog.stack.push(this);
+    this.setBackgroundInert(true);
+    Dialog.lockScroll();
+
+    document.addEventListener('keydown', this.handleKeydown);
+    this.backdrop.addEventListener('mousedown', this.handleBackdropClick);
+
+    const target = initialFocus || this.getFocusableElements()[0] || this.element;
+    target.focus();
+
+    this.element.dispatchEvent(new CustomEvent('dialog-open', { bubbles: true }));
+  }
+
+  close(reason = 'api') {
+    if (!this.isOpen) return;
+
+    this.backdrop.hidden = true;
+    Dialog.stack.splice(Dialog.stack.indexOf(this), 1);
+    this.setBackgroundInert(false);
+    Dialog.unlockScroll();
+
+    document.removeEventListener('keydown', this.handleKeydown);
+    this.backdrop.removeEventListener('mousedown', this.handleBackdropClick);
+
+    // Return focus to whatever opened the dialog, if it is still on the page
+    if (this.opener && this.opener.isConnected && typeof this.opener.focus === 'function') {
+      this.opener.focus();
+    }
+    this.opener = null;
+
+    this.element.dispatchEvent(new CustomEvent('dialog-close', { bubbles: true, detail: { reason } }));
+    if (this.onClose) {
+      this.onClose(reason);
+    }
+  }
+
+  destroy() {
+    this.close('destroy');
+    this.backdrop.remove();
+  }
+
+  getFocusableElements() {
+    const selector = 'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), ' +
+      'select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+    return Array.from(this.element.querySelectorAll(selector))
+      .filter(element => element.tabIndex !== -1 && !element.hidden && !element.closest('[hidden]'));
+  }
+
+  // Only the top-most dialog reacts to Tab and Escape
+  handleKeydown(e) {
+    if (Dialog.stack[Dialog.stack.length - 1] !== this) return;
+
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      this.close('escape');
+      return;
+    }
+
+    if (e.key !== 'Tab') return;
+
+    const focusable = this.getFocusableElements();
+    if (focusable.length === 0) {
+      e.preventDefault();
+      this.element.focus();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && (document.activeElement === first || document.activeElement === this.element)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    } else if (!this.element.contains(document.activeElement)) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  handleBackdropClick(e) {
+    if (this.closeOnBackdrop && e.target === this.backdrop) {
+      this.close('backdrop');
+    }
+  }
+
+  // Make everything outside this dialog inert (and hidden from assistive tech)
+  setBackgroundInert(isInert) {
+    if (isInert) {
+      this.inertElements = Array.from(document.body.children).filter(element => (
+        element !== this.backdrop && !element.inert && element.tagName !== 'SCRIPT' &&
+        !element.hasAttribute('data-dialog-exempt')
+      ));
+      this.inertElements.forEach(element => {
+        element.inert = true;
+        element.setAttribute('aria-hidden', 'true');
+      });
+    } else {
+      this.inertElements.forEach(element => {
+        element.inert = false;
+        element.removeAttribute('aria-hidden');
+      });
+      this.inertElements = [];
+    }
+  }
+
+  // Prevent the page behind from scrolling, without layout shift from the scrollbar.
+  // Dialogs and the mobile menu each take a lock; the page scrolls again once all are released.
+  static lockScroll() {
+    Dialog.scrollLocks++;
+    if (Dialog.scrollLocks > 1) return;
+    const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
+    document.body.style.setProperty('--scrollbar-width', `${scrollbarWidth}px`);
+    document.body.classList.add('dialog-open');
+  }
+
+  static unlockScroll() {
+    if (Dialog.scrollLocks === 0) return;
+    Dialog.scrollLocks--;
+    if (Dialog.scrollLocks > 0) return;
+    document.body.classList.remove('dialog-open');
+    document.body.style.removeProperty('--scrollbar-width');
+  }
+}
+
+Dialog.count = 0;
+Dialog.stack = [];
+Dialog.scrollLocks = 0;
+
+// Toasts and inline form messages. Toasts stack up to MAX_VISIBLE and queue beyond that;
+// inline messages sit right after the element they belong to, one per element.
+// Every message is announced through a single polite live region.
+class NotificationCenter {
+  constructor({ maxVisible = CONFIG.NOTIFICATIONS.MAX_VISIBLE } = {}) {
+    this.maxVisible = maxVisible;
+    this.visible = [];
+    this.queue = [];
+    this.inline = new Map();
+    this.nextId = 1;
+    this.root = null;
+    this.stack = null;
+    this.announcer = null;
+  }
+
+  // The toast stack and live region are created on first use; dialogs leave them interactive
+  mount() {
+    if (this.root && this.root.isConnected) return;
+
+    this.root = document.createElement('div');
+    this.root.className = 'notification-root';
+    this.root.setAttribute('data-dialog-exempt', '');
+
+    this.stack = document.createElement('div');
+    this.stack.className = 'notification-stack';
+
+    this.announcer = document.createElement('div');
+    this.announcer.className = 'notification-announcer';
+    this.announcer.setAttribute('role', 'status');
+    this.announcer.setAttribute('aria-live', 'polite');
+
+    this.root.append(this.stack, this.announcer);
+    document.body.appendChild(this.root);
+  }
+
+  // Show a message; errors stay until dismissed unless a duration is given
+  notify({ message, type = 'info', duration, actions = [], target = null, dismissible = true } = {}) {
+    this.mount();
+
+    const entry = {
+      id: this.nextId++,
+      message,
+      type,
+      actions,
+      target,
+      dismissible,
+      duration: duration !== undefined ? duration : (type === 'error' ? 0 : CONFIG.MESSAGE_TIMEOUT),
+      timer: null
+    };
+    entry.element = this.render(entry);
+
+    if (target) {
+      // An element shows its latest status only
+      const previous = this.inline.get(target);
+      if (previous) this.remove(previous, false);
+      this.inline.set(target, entry);
+      target.insertAdjacentElement('afterend', entry.element);
+      this.show(entry);
+    } else if (this.visible.length < this.maxVisible) {
+      this.visible.push(entry);
+      this.stack.appendChild(entry.element);
+      this.show(entry);
+    } else {
+      this.queue.push(entry);
+    }
+
+    return { id: entry.id, dismiss: () => this.dismiss(entry.id) };
+  }
+
+  render(entry) {
+    const element = document.createElement('div');
+    element.className = `notification message ${entry.type}-message${entry.target ? ' notification-inline' : ''}`;
+    element.dataset.notificationId = entry.id;
+
+    const text = document.createElement('p');
+    text.className = 'notification-text';
+    text.textContent = entry.message;
+    element.appendChild(text);
+
+    if (entry.actions.length > 0) {
+      const actions = document.createElement('div');
+      actions.className = 'notification-actions';
+      entry.actions.forEach(action => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'notification-action';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+          if (action.dismiss !== false) this.dismiss(entry.id);
+          action.onClick();
+        });
+        actions.appendChild(button);
+      });
+      element.appendChild(actions);
+    }
+
+    if (entry.dismissible) {
+      const dismiss = document.createElement('button');
+      dismiss.type = 'button';
+      dismiss.className = 'notification-dismiss';
+      dismiss.setAttribute('aria-label', I18N.t('notifications.dismiss'));
+      dismiss.textContent = '×';
+      dismiss.addEventListener('click', () => this.dismiss(entry.id));
+      element.appendChild(dismiss);
+    }
+
+    // Don't let a message disappear while someone is reading or using it
+    element.addEventListener('mouseenter', () => this.pause(entry));
+    element.addEventListener('focusin', () => this.pause(entry));
+    element.addEventListener('mouseleave', () => this.resume(entry));
+    element.addEventListener('focusout', (e) => {
+      if (!element.contains(e.relatedTarget)) this.resume(entry);
+    });
+
+    return element;
+  }
+
+  show(entry) {
+    requestAnimationFrame(() => entry.element.classList.add('show'));
+    this.announce(entry.message);
+    this.startTimer(entry);
+  }
+
+  // Each message is added as its own line so quick successive messages are all read out
+  announce(message) {
+    const line = document.createElement('p');
+    line.textContent = message;
+    this.announcer.appendChild(line);
+    setTimeout(() => line.remove(), CONFIG.MESSAGE_TIMEOUT * 2);
+  }
+
+  startTimer(entry) {
+    if (entry.duration > 0) {
+      entry.timer = setTimeout(() => this.dismiss(entry.id), entry.duration);
+    }
+  }
+
+  pause(entry) {
+    clearTimeout(entry.timer);
+    entry.timer = null;
+  }
+
+  resume(entry) {
+    if (!entry.timer && entry.element.isConnected) {
+      this.startTimer(entry);
+    }
+  }
+
+  find(id) {
+    return this.visible.find(entry => entry.id === id) ||
+      this.queue.find(entry => entry.id === id) ||
+      Array.from(this.inline.values()).find(entry => entry.id === id) ||
+      null;
+  }
+
+  dismiss(id) {
+    const entry = this.find(id);
+    if (entry) this.remove(entry);
+  }
+
+  // Remove every inline message, or only the one attached to target
+  clear(target = null) {
+    if (target) {
+      const entry = this.inline.get(target);
+      if (entry) this.remove(entry, false);
+      return;
+    }
+    this.queue = [];
+    [...this.visible, ...this.inline.values()].forEach(entry => this.remove(entry, false));
+  }
+
+  remove(entry, animate = true) {
+    this.pause(entry);
+
+    const queued = this.queue.indexOf(entry);
+    if (queued !== -1) {
+      this.queue.splice(queued, 1);
+      return;
+    }
+
+    const visible = this.visible.indexOf(entry);
+    if (visible !== -1) this.visible.splice(visible, 1);
+    if (entry.target && this.inline.get(entry.target) === entry) this.inline.delete(entry.target);
+
+    // Keep keyboard users in place when the focused message goes away
+    const { element } = entry;
+    if (element.contains(document.activeElement) && entry.target && entry.target.isConnected) {
+      const focusTarget = entry.target.querySelector('button[type="submit"], input, textarea, select') || entry.target;
+      focusTarget.focus();
+    }
+
+    element.classList.remove('show');
+    if (animate) {
+      setTimeout(() => element.remove(), 300);
+    } else {
+      element.remove();
+    }
+
+    this.showNext();
+  }
+
+  showNext() {
+    while (this.visible.length < this.maxVisible && this.queue.length > 0) {
+      const entry = this.queue.shift();
+      this.visible.push(entry);
+      this.stack.appendChild(entry.element);
+      this.show(entry);
+    }
+  }
+
+  // Drop every message and the containers; the next notify() mounts them again
+  destroy() {
+    this.clear();
+    if (this.root) this.root.remove();
+    this.root = null;
+    this.stack = null;
+    this.announcer = null;
+  }
+}
+
+// Off-canvas navigation for small screens: a disclosure toggle, focus kept inside while open,
+// Escape / link click / swipe to close, and the page behind inert and unscrollable
+class MobileNav {
+  constructor({ toggle, menu, onChange = null }) {
+    this.toggle = toggle;
+    this.menu = menu;
+    this.onChange = onChange;
+    this.inertElements = [];
+    this.touchStart = null;
+
+    this.backdrop = document.createElement('div');
+    this.backdrop.className = 'nav-backdrop';
+    this.backdrop.hidden = true;
+    this.backdrop.setAttribute('data-dialog-exempt', '');
+    document.body.appendChild(this.backdrop);
+
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.handleTouchStart = this.handleTouchStart.bind(this);
+    this.handleTouchEnd = this.handleTouchEnd.bind(this);
+
+    // The toggle and menu outlive this object, so their listeners go with destroy()
+    this.listeners = new AbortController();
+    const { signal } = this.listeners;
+    this.toggle.addEventListener('click', () => (this.isOpen ? this.close('toggle') : this.open()), { signal });
+    this.backdrop.addEventListener('click', () => this.close('backdrop'), { signal });
+    this.menu.addEventListener('click', (e) => {
+      // Close before the router measures the header and scrolls
+      if (this.isOpen && e.target.closest('a[href]')) this.close('link');
+    }, { signal });
+  }
+
+  get isOpen() {
+    return this.toggle.getAttribute('aria-expanded') === 'true';
+  }
+
+  open() {
+    if (this.isOpen) return;
+
+    this.setExpanded(true);
+    this.backdrop.hidden = false;
+    this.setBackgroundInert(true);
+    Dialog.lockScroll();
+
+    document.addEventListener('keydown', this.handleKeydown);
+    this.menu.addEventListener('touchstart', this.handleTouchStart, { passive: true });
+    this.menu.addEventListener('touchend', this.handleTouchEnd);
+
+    const first = this.getFocusableElements().find(element => element !== this.toggle);
+    if (first) first.focus();
+
+    if (this.onChange) this.onChange(true, 'toggle');
+  }
+
+  close(reason = 'api') {
+    if (!this.isOpen) return;
+
+    this.setExpanded(false);
+    this.backdrop.hidden = true;
+    this.setBackgroundInert(false);
+    Dialog.unlockScroll();
+
+    document.removeEventListener('keydown', this.handleKeydown);
+    this.menu.removeEventListener('touchstart', this.handleTouchStart);
+    this.menu.removeEventListener('touchend', this.handleTouchEnd);
+    this.touchStart = null;
+
+    // The menu is about to be hidden, so focus can't stay inside it
+    if (reason !== 'resize' && (this.menu.contains(document.activeElement) || reason === 'escape')) {
+      this.toggle.focus();
+    }
+
+    if (this.onChange) this.onChange(false, reason);
+  }
+
+  setExpanded(isExpanded) {
+    const labelKey = isExpanded ? 'nav.closeMenu' : 'nav.openMenu';
+    this.toggle.setAttribute('aria-expanded', String(isExpanded));
+    this.toggle.dataset.i18nAttr = `aria-label:${labelKey}`;
+    this.toggle.setAttribute('aria-label', I18N.t(labelKey));
+    this.menu.classList.toggle('open', isExpanded);
+    document.body.classList.toggle('nav-open', isExpanded);
+  }
+
+  // The toggle stays reachable so the menu can be closed from the keyboard
+  getFocusableElements() {
+    const selector = 'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), ' +
+      'select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+    return [this.toggle, ...this.menu.querySelectorAll(selector)]
+      .filter(element => element.tabIndex !== -1 && !element.closest('[hidden]'));
+  }
+
+  handleKeydown(e) {
+    // An open dialog owns the keyboard
+    if (Dialog.stack.length > 0) return;
+
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      this.close('escape');
+      return;
+    }
+
+    if (e.key !== 'Tab') return;
+
+    const focusable = this.getFocusableElements();
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const inside = focusable.includes(document.activeElement);
+
+    if (e.shiftKey && (document.activeElement === first || !inside)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (document.activeElement === last || !inside)) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  handleTouchStart(e) {
+    const touch = e.changedTouches[0];
+    this.touchStart = { x: touch.clientX, y: touch.clientY };
+  }
+
+  // The menu slides in from the right, so a mostly horizontal swipe right closes it
+  handleTouchEnd(e) {
+    if (!this.touchStart) return;
+    const touch = e.changedTouches[0];
+    const dx = touch.clientX - this.touchStart.x;
+    const dy = touch.clientY - this.touchStart.y;
+    this.touchStart = null;
+
+    if (dx > CONFIG.SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy)) {
+      this.close('swipe');
+    }
+  }
+
+  // Everything but the header (which holds the menu) is inert while open
+  setBackgroundInert(isInert) {
+    if (isInert) {
+      const header = this.menu.closest('header');
+      this.inertElements = Array.from(document.body.children).filter(element => (
+        element !== header && !element.inert && element.tagName !== 'SCRIPT' &&
+        !element.hasAttribute('data-dialog-exempt')
+      ));
+      this.inertElements.forEach(element => {
+        element.inert = true;
+        element.setAttribute('aria-hidden', 'true');
+      });
+    } else {
+      this.inertElements.forEach(element => {
+        element.inert = false;
+        element.removeAttribute('aria-hidden');
+      });
+      this.inertElements = [];
+    }
+  }
+
+  destroy() {
+    this.close('destroy');
+    this.listeners.abort();
+    this.backdrop.remove();
+  }
+}
+
+// Analytics adapters - each receives a batch of events and forwards it somewhere
+const ANALYTICS_ADAPTERS = {
+  // Google Analytics via window.gtag, when the tag is on the page
+  gtag() {
+    return {
+      // Google tags can feed ad products, so they need marketing consent
+      category: 'marketing',
+      isAvailable: () => typeof window.gtag === 'function',
+      send(events) {
+        events.forEach(event => window.gtag('event', event.event, event.data));
+        return true;
+      }
+    };
+  },
+
+  // Plausible-style endpoint: one request per event with name, url, domain and props
+  plausible({ domain, endpoint }) {
+    return {
+      category: 'analytics',
+      isAvailable: () => Boolean(domain),
+      send(events, { beacon }) {
+        return events.every(event => ANALYTICS.post(endpoint, {
+          name: event.event,
+          url: event.url,
+          domain,
+          referrer: document.referrer || null,
+          props: event.data
+        }, beacon));
+      }
+    };
+  },
+
+  // Generic collector that accepts a JSON batch
+  http({ endpoint }) {
+    return {
+      category: 'analytics',
+      isAvailable: () => Boolean(endpoint),
+      send(events, { beacon }) {
+        return ANALYTICS.post(endpoint, { events, sentAt: new Date().toISOString() }, beacon);
+      }
+    };
+  }
+};
+
+// Analytics pipeline: batches events and fans them out to registered adapters
+const ANALYTICS = {
+  adapters: new Map(),
+  queue: [],
+  timer: null,
+  started: false,
+  unloading: false,
+
+  registerAdapter(name, adapter) {
+    this.adapters.set(name, adapter);
+  },
+
+  unregisterAdapter(name) {
+    this.adapters.delete(name);
+  },
+
+  // Begin periodic flushing and flush on page hide/unload
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    this.flush = this.flush.bind(this);
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    this.handlePageExit = this.handlePageExit.bind(this);
+    this.handleBeforeUnload = this.handleBeforeUnload.bind(this);
+    this.handlePageShow = this.handlePageShow.bind(this);
+
+    this.timer = setInterval(this.flush, CONFIG.ANALYTICS.FLUSH_INTERVAL);
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    window.addEventListener('beforeunload', this.handleBeforeUnload);
+    window.addEventListener('pagehide', this.handlePageExit);
+    window.addEventListener('pageshow', this.handlePageShow);
+
+    this.flush();
+  },
+
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+
+    clearInterval(this.timer);
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    window.removeEventListener('beforeunload', this.handleBeforeUnload);
+    window.removeEventListener('pagehide', this.handlePageExit);
+    window.removeEventListener('pageshow', this.handlePageShow);
+  },
+
+  track(event) {
+    this.queue.push(event);
+
+    // Once the page is going away, nothing else will flush - send right now
+    if (this.unloading) {
+      this.flush({ beacon: true });
+    } else if (this.queue.length >= CONFIG.ANALYTICS.BATCH_SIZE) {
+      this.flush();
+    }
+  },
+
+  // Send queued events to every available adapter
+  flush({ beacon = false } = {}) {
+    if (!this.started || this.queue.length === 0) return;
+
+    const events = this.queue.splice(0, this.queue.length);
+    for (let i = 0; i < events.length; i += CONFIG.ANALYTICS.BATCH_SIZE) {
+      const batch = events.slice(i, i + CONFIG.ANALYTICS.BATCH_SIZE);
+      this.adapters.forEach((adapter, name) => {
+        try {
+          if (CONSENT.allows(adapter.category || 'analytics') && adapter.isAvailable()) {
+            adapter.send(batch, { beacon });
+          }
+        } catch (error) {
+          console.warn(`Analytics adapter "${name}" failed:`, error);
+        }
+      });
+    }
+  },
+
+  // Drop anything queued, e.g. after consent is withdrawn
+  clear() {
+    this.queue = [];
+  },
+
+  handleVisibilityChange() {
+    if (document.visibilityState === 'hidden') {
+      this.handlePageExit();
+    } else {
+      this.unloading = false;
+    }
+  },
+
+  handlePageExit() {
+    this.unloading = true;
+    this.flush({ beacon: true });
+  },
 
-  mark(name) {
-    this.metrics[name] = performance.now();
+  // The unload can still be cancelled, so flush without treating the page as gone
+  handleBeforeUnload() {
+    this.flush({ beacon: true });
   },
 
-  measure(name, startMark) {
-    if (this.metrics[startMark]) {
-      const duration = performance.now() - this.metrics[startMark];
-      console.log(`${name}: ${duration.toFixed(2)}ms`);
-      return duration;
+  // Back from the back/forward cache: the page is live again
+  handlePageShow() {
+    this.unloading = false;
+  },
+
+  // POST JSON, preferring sendBeacon while the page unloads
+  post(url, payload, beacon) {
+    const body = JSON.stringify(payload);
+
+    if (beacon && navigator.sendBeacon) {
+      return navigator.sendBeacon(url, new Blob([body], { type: 'application/json' }));
     }
+
+    fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      keepalive: true
+    }).catch(() => {
+      // Analytics must never break the page
+    });
+    return true;
   }
 };
 
-// Security utilities
-const SECURITY = {
-  // XSS prevention
-  sanitizeInput(input) {
-    const div = document.createElement('div');
-    div.textContent = input;
-    return div.innerHTML;
+// Error monitoring: catches uncaught errors and rejections, groups them by fingerprint
+const MONITORING = {
+  started: false,
+  groups: new Map(),
+  reports: new RingBuffer(50),
+  getBreadcrumbs: () => [],
+  reporting: false,
+
+  start({ breadcrumbs } = {}) {
+    if (this.started) return;
+    this.started = true;
+    if (breadcrumbs) this.getBreadcrumbs = breadcrumbs;
+
+    this.handleError = this.handleError.bind(this);
+    this.handleRejection = this.handleRejection.bind(this);
+    window.addEventListener('error', this.handleError);
+    window.addEventListener('unhandledrejection', this.handleRejection);
   },
 
-  // CSRF token generation (for production)
-  generateCSRFToken() {
-    return Math.random().toString(36).substring(2) + Date.now().toString(36);
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+
+    window.removeEventListener('error', this.handleError);
+    window.removeEventListener('unhandledrejection', this.handleRejection);
   },
 
-  // Input validation patterns
-  patterns: {
-    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-    phone: /^[\+]?[1-9][\d]{0,15}$/,
-    name: /^[a-zA-Z\s'-]{2,50}$/
+  handleError(event) {
+    // Cross-origin scripts only expose "Script error." - nothing to group or fix
+    if (!event.error && (!event.message || event.message === 'Script error.')) return;
+
+    this.capture(event.error || { name: 'Error', message: event.message, stack: `at ${event.filename}:${event.lineno}:${event.colno}` }, {
+      source: 'error'
+    });
+  },
+
+  handleRejection(event) {
+    this.capture(event.reason, { source: 'unhandledrejection' });
+  },
+
+  // Record an error; handled errors can be passed in with their context
+  capture(error, { source = 'handled', context = null } = {}) {
+    if (this.reporting) return null;
+    this.reporting = true;
+
+    try {
+      const { name, message, stack } = this.normalize(error);
+      const fingerprint = this.fingerprint(name, message, stack);
+
+      const group = this.groups.get(fingerprint);
+      if (group) {
+        group.count++;
+        group.lastSeen = new Date().toISOString();
+        this.renderOverlay();
+        return group;
+      }
+      if (this.groups.size >= CONFIG.MONITORING.MAX_REPORTS) return null;
+
+      const now = new Date().toISOString();
+      const report = {
+        fingerprint,
+        name,
+        message: PRIVACY.scrub(message),
+        stack: stack.slice(0, 10),
+        source,
+        context,
+        count: 1,
+        firstSeen: now,
+        lastSeen: now,
+        url: window.location.origin + window.location.pathname,
+        userAgent: navigator.userAgent,
+        // Breadcrumbs are analytics events, so they only leave the page with analytics consent
+        breadcrumbs: CONSENT.allows('analytics') || !CONFIG.MONITORING.ENDPOINT
+          ? this.getBreadcrumbs(CONFIG.MONITORING.BREADCRUMBS).map(({ event, data, timestamp }) => ({ event, data, timestamp }))
+          : []
+      };
+      this.groups.set(fingerprint, report);
+      this.send(report);
+      return report;
+    } catch (monitoringError) {
+      // Monitoring must never break the page
+      return null;
+    } finally {
+      this.reporting = false;
+    }
+  },
+
+  // Errors, strings and arbitrary rejection values into { name, message, stack }
+  normalize(error) {
+    if (error && typeof error === 'object' && 'message' in error) {
+      return {
+        name: error.name || 'Error',
+        message: String(error.message),
+        stack: this.parseStack(error.stack)
+      };
+    }
+    let message;
+    try {
+      message = typeof error === 'string' ? error : JSON.stringify(error);
+    } catch (stringifyError) {
+      message = Object.prototype.toString.call(error);
+    }
+    return { name: 'UnhandledRejection', message: String(message), stack: [] };
+  },
+
+  // Stack frames without origins or query strings, so they match across hosts and cache-busting
+  parseStack(stack) {
+    if (typeof stack !== 'string') return [];
+    return stack.split('\n')
+      .map(line => line.trim())
+      .filter(line => line.startsWith('at ') || /^[^\s@]*@\S+:\d+/.test(line))
+      .map(line => line
+        .replace(/https?:\/\/[^/\s)]+/g, '')
+        .replace(/[?#][^\s:)]*/g, ''));
+  },
+
+  // Same name, message shape and call site group together, whatever the line numbers
+  fingerprint(name, message, stack) {
+    const frames = stack
+      .slice(0, CONFIG.MONITORING.FINGERPRINT_FRAMES)
+      .map(frame => frame.replace(/:\d+(:\d+)?(?=\)?$)/, ''));
+    const key = [
+      name,
+      message.replace(/\b[0-9a-f]{8,}\b/gi, '<id>').replace(/\d+/g, '<n>'),
+      ...frames
+    ].join('|');
+
+    // djb2
+    let hash = 5381;
+    for (let i = 0; i < key.length; i++) {
+      hash = ((hash << 5) + hash + key.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  },
+
+  send(report) {
+    if (CONFIG.MONITORING.ENDPOINT) {
+      ANALYTICS.post(CONFIG.MONITORING.ENDPOINT, { report, sentAt: new Date().toISOString() }, ANALYTICS.unloading);
+      return;
+    }
+
+    // Development fallback: keep reports in the page
+    this.reports.push(report);
+    console.error('[monitoring]', report.name, report.message, report);
+    window.dispatchEvent(new CustomEvent('kbrj-error-report', { detail: { report } }));
+    this.renderOverlay();
+  },
+
+  // Small in-page list of reports, only on local hosts without a collector
+  renderOverlay() {
+    if (CONFIG.MONITORING.ENDPOINT || !['localhost', '127.0.0.1'].includes(window.location.hostname) || !document.body) {
+      return;
+    }
+
+    let overlay = document.querySelector('.error-overlay');
+    if (!overlay) {
+      overlay = document.createElement('section');
+      overlay.className = 'error-overlay';
+      overlay.setAttribute('aria-label', 'Error reports');
+      overlay.setAttribute('data-dialog-exempt', '');
+      overlay.innerHTML = `
+        <button type="button" class="error-overlay-close" aria-label="Close error reports">×</button>
+        <ul class="error-overlay-list"></ul>
+      `;
+      overlay.querySelector('.error-overlay-close').addEventListener('click', () => overlay.remove());
+      document.body.appendChild(overlay);
+    }
+
+    const list = overlay.querySelector('.error-overlay-list');
+    list.replaceChildren(...Array.from(this.groups.values()).map(report => {
+      const item = document.createElement('li');
+      const count = report.count > 1 ? ` ×${report.count}` : '';
+      item.textContent = `${report.name}: ${report.message}${count} (${report.source})`;
+      item.title = report.stack.join('\n');
+      return item;
+    }));
   }
 };
 
@@ -67,28 +3025,65 @@ class KBRJSolutions {
     this.isInitialized = false;
     this.currentSection = 'home';
     this.formSubmissions = new Map();
-    this.observers = new Map();
+    // Everything init() sets up; created by init(), closed by destroy()
+    this.scope = null;
+    this.isFlushingQueue = false;
+    this.eventHistory = new RingBuffer(CONFIG.ANALYTICS.HISTORY_SIZE);
+    this.analyticsInitialized = false;
+    this.currentRoute = null;
+    this.fragmentCache = new Map();
+    this.selectedPlan = null;
+    this.formStartTimes = new WeakMap();
+    this.notifications = new NotificationCenter();
+    this.bus = new EventBus(EVENT_TYPES);
+    this.plugins = new PluginHost(this);
+    // Sections on screen (kept by the section observer) and those already counted as viewed
+    this.intersectingSections = new Set();
+    this.viewedSections = new Set();
+    this.scrollSpyFrame = null;
+    this.mobileNav = null;
+    this.pageLoadTracked = false;
+    this.queueRetryTimer = null;
 
     // Bind methods to preserve context
     this.handleScroll = this.handleScroll.bind(this);
     this.handleResize = this.debounce(this.handleResize.bind(this), 250);
+    this.flushSubmissionQueue = this.flushSubmissionQueue.bind(this);
+    this.handlePopState = this.handlePopState.bind(this);
+    this.saveScrollPosition = this.debounce(this.saveScrollPosition.bind(this), 150);
+    this.reportWebVitals = this.reportWebVitals.bind(this);
   }
 
   // Initialize the application
   async init() {
     if (this.isInitialized) return;
 
+    this.scope = new LifecycleScope();
     PERFORMANCE.mark('app-init-start');
 
     try {
+      // Catch errors from everything that runs after this point
+      MONITORING.start({ breadcrumbs: count => this.eventHistory.last(count) });
+
       // Wait for DOM and critical resources
       await this.waitForDOM();
       await this.waitForCriticalResources();
 
+      // Translate the page before anything else renders text; the service catalog loads alongside
+      await Promise.all([this.initI18n(), this.loadServiceCatalog()]);
+
+      // Cards must exist before initCore adds keyboard and ARIA support
+      this.renderServiceCards();
+
       // Initialize core functionality
       this.initCore();
       this.initBusinessFeatures();
-      this.initAnalytics();
+
+      // Plugins start once the core features they build on are in place
+      await this.plugins.init();
+
+      // Analytics only starts once the visitor has agreed to it
+      this.initConsent();
 
       this.isInitialized = true;
       PERFORMANCE.mark('app-init-end');
@@ -98,6 +3093,8 @@ class KBRJSolutions {
 
       // Dispatch custom event for other scripts
       window.dispatchEvent(new CustomEvent('kbrj-ready'));
+      this.plugins.ready();
+      this.bus.emit('app:ready');
 
     } catch (error) {
       console.error('Failed to initialize KBRJ Solutions:', error);
@@ -127,13 +3124,94 @@ class KBRJSolutions {
     });
   }
 
+  // Load message catalogs, translate static HTML and wire up the language switcher
+  async initI18n() {
+    try {
+      await I18N.init();
+    } catch (error) {
+      console.warn('Translations unavailable, showing built-in text:', error);
+      return;
+    }
+
+    I18N.translate();
+
+    document.querySelectorAll('.language-switcher').forEach(switcher => {
+      switcher.value = I18N.locale;
+      this.scope.listen(switcher, 'change', () => this.changeLocale(switcher.value));
+    });
+  }
+
+  // Theme toggle; the theme itself was already applied in <head> to avoid a flash
+  initTheme() {
+    const toggles = document.querySelectorAll('.theme-toggle');
+    const syncToggles = (theme) => {
+      toggles.forEach(toggle => toggle.setAttribute('aria-pressed', String(theme === 'dark')));
+    };
+
+    this.scope.defer(THEME.onChange(theme => {
+      syncToggles(theme);
+      window.dispatchEvent(new CustomEvent('kbrj-theme-change', { detail: { theme } }));
+      this.bus.emit('theme:changed', { theme });
+    }));
+    THEME.load();
+
+    toggles.forEach(toggle => {
+      this.scope.listen(toggle, 'click', () => {
+        const previous = THEME.current();
+        THEME.toggle();
+        this.trackEvent('theme_change', { from: previous, to: THEME.current() });
+      });
+    });
+  }
+
+  // Motion toggle; like the theme, data-motion was already set in <head>
+  initMotion() {
+    const toggles = document.querySelectorAll('.motion-toggle');
+
+    this.scope.defer(MOTION.onChange(motion => {
+      toggles.forEach(toggle => toggle.setAttribute('aria-pressed', String(motion === 'reduced')));
+      window.dispatchEvent(new CustomEvent('kbrj-motion-change', { detail: { motion } }));
+      this.bus.emit('motion:changed', { motion });
+    }));
+    MOTION.load();
+
+    toggles.forEach(toggle => {
+      this.scope.listen(toggle, 'click', () => {
+        MOTION.toggle();
+        this.trackEvent('motion_preference_change', { reduced: MOTION.isReduced() });
+      });
+    });
+  }
+
+  // Switch language from the switcher and re-translate the page
+  async changeLocale(locale) {
+    const previous = I18N.locale;
+    await I18N.setLocale(locale);
+    I18N.translate();
+
+    document.querySelectorAll('.language-switcher').forEach(switcher => {
+      switcher.value = I18N.locale;
+    });
+
+    this.trackEvent('locale_change', { from: previous, to: I18N.locale });
+    window.dispatchEvent(new CustomEvent('kbrj-locale-change', { detail: { locale: I18N.locale } }));
+    this.bus.emit('locale:changed', { locale: I18N.locale, previous });
+  }
+
   // Initialize core functionality
   initCore() {
+    this.initPageEvents();
+    this.initTheme();
+    this.initMotion();
     this.initSmoothScrolling();
+    this.initRouter();
     this.initScrollAnimations();
     this.initFormHandling();
+    this.initSubmissionQueue();
     this.initNavigationEffects();
+    this.initMobileNav();
     this.initLoadingAnimations();
+    this.initWebVitals();
     this.initAccessibility();
   }
 
@@ -141,71 +3219,361 @@ class KBRJSolutions {
   initBusinessFeatures() {
     this.initEarlyAccessCapture();
     this.initServiceCards();
-    this.initCredibilitySection();
-    this.initContactOptimization();
-    this.initBusinessMetrics();
+    this.initPlanRecommender();
+  }
+
+  // Page-level events; registered per init so destroy() removes them
+  initPageEvents() {
+    // Loading, mobile and menu state classes all live on <body>
+    this.scope.preserve(document.body, 'class');
+
+    this.scope.listen(window, 'resize', this.handleResize);
+
+    // Handle page visibility changes for business analytics
+    this.scope.listen(document, 'visibilitychange', () => {
+      this.trackEvent(document.hidden ? 'page_hidden' : 'page_visible');
+    });
+
+    // Handle beforeunload for business metrics
+    this.scope.listen(window, 'beforeunload', () => this.trackEvent('page_exit'));
+  }
+
+  // Register a plugin (see PluginHost); plugins registered after init start right away
+  use(plugin) {
+    this.plugins.register(plugin);
+    return this;
   }
 
-  // Initialize business metrics
-  initBusinessMetrics() {
-    // Initialize business-specific tracking and metrics
-    console.log('Business metrics initialized');
+  // Load the stored consent decision, asking for one if there is none
+  initConsent() {
+    CONSENT.load();
+    this.scope.defer(CONSENT.onChange(state => {
+      this.applyConsent();
+      this.bus.emit('consent:changed', { categories: { ...state.categories } });
+    }));
+
+    if (!CONSENT.hasDecided()) {
+      this.showConsentBanner();
+    }
+    this.scope.defer(() => document.querySelector('.consent-banner')?.remove());
+
+    document.querySelectorAll('.consent-settings-link').forEach(link => {
+      this.scope.listen(link, 'click', (e) => {
+        e.preventDefault();
+        this.showConsentBanner({ expanded: true });
+      });
+    });
+
+    this.applyConsent();
   }
 
-  // Initialize credibility section
-  initCredibilitySection() {
-    // Placeholder for credibility section enhancements
-    console.log('Credibility section initialized');
+  // Start or stop tracking to match the current consent
+  applyConsent() {
+    // Store or forget the experiment assignments to match
+    EXPERIMENTS.save();
+
+    if (!CONSENT.allows('analytics')) {
+      ANALYTICS.clear();
+      return;
+    }
+
+    if (!this.analyticsInitialized) {
+      this.analyticsInitialized = true;
+      this.initAnalytics();
+    }
   }
 
-  // Initialize contact optimization
-  initContactOptimization() {
-    // Placeholder for contact optimization
-    console.log('Contact optimization initialized');
+  // Render the consent banner
+  showConsentBanner({ expanded = false } = {}) {
+    document.querySelector('.consent-banner')?.remove();
+
+    const banner = document.createElement('div');
+    banner.className = 'consent-banner';
+    banner.setAttribute('role', 'region');
+    banner.setAttribute('aria-labelledby', 'consent-title');
+    banner.innerHTML = `
+      <h2 id="consent-title" class="consent-title" data-i18n="consent.title"></h2>
+      <p class="consent-text" data-i18n="consent.text"></p>
+      <fieldset class="consent-options">
+        <legend data-i18n="consent.legend"></legend>
+        <label><input type="checkbox" name="necessary" checked disabled> <span data-i18n="consent.necessary"></span></label>
+        <label><input type="checkbox" name="analytics"> <span data-i18n="consent.analytics"></span></label>
+        <label><input type="checkbox" name="marketing"> <span data-i18n="consent.marketing"></span></label>
+      </fieldset>
+      <div class="consent-actions">
+        <button type="button" class="consent-button" data-consent="reject" data-i18n="consent.reject"></button>
+        <button type="button" class="consent-button" data-consent="save" data-i18n="consent.save"></button>
+        <button type="button" class="consent-button" data-consent="customize" data-i18n="consent.customize"></button>
+        <button type="button" class="consent-button consent-accept" data-consent="accept" data-i18n="consent.accept"></button>
+      </div>
+    `;
+    I18N.translate(banner);
+
+    const options = banner.querySelector('.consent-options');
+    const saveButton = banner.querySelector('[data-consent="save"]');
+    const customizeButton = banner.querySelector('[data-consent="customize"]');
+
+    // Reflect the current decision when reopened from the footer
+    ['analytics', 'marketing'].forEach(category => {
+      options.querySelector(`[name="${category}"]`).checked = CONSENT.allows(category);
+    });
+
+    const setExpanded = (isExpanded) => {
+      options.hidden = !isExpanded;
+      saveButton.hidden = !isExpanded;
+      customizeButton.hidden = isExpanded;
+    };
+    setExpanded(expanded);
+
+    banner.addEventListener('click', (e) => {
+      const action = e.target.closest('[data-consent]')?.dataset.consent;
+      if (!action) return;
+
+      if (action === 'customize') {
+        setExpanded(true);
+        options.querySelector('[name="analytics"]').focus();
+        return;
+      }
+
+      const choices = {
+        accept: { analytics: true, marketing: true },
+        reject: { analytics: false, marketing: false },
+        save: {
+          analytics: options.querySelector('[name="analytics"]').checked,
+          marketing: options.querySelector('[name="marketing"]').checked
+        }
+      }[action];
+
+      CONSENT.update(choices);
+      banner.remove();
+    });
+
+    document.body.appendChild(banner);
   }
 
   // Initialize analytics and tracking
   initAnalytics() {
+    this.initAnalyticsPipeline();
+    this.trackExperimentExposures();
     this.trackUserEngagement();
     this.trackBusinessMetrics();
     this.initHeatmapTracking();
   }
 
+  // Register the configured analytics adapters and start batching
+  initAnalyticsPipeline() {
+    const settings = CONFIG.ANALYTICS;
+
+    ANALYTICS.registerAdapter('gtag', ANALYTICS_ADAPTERS.gtag());
+    ANALYTICS.registerAdapter('plausible', ANALYTICS_ADAPTERS.plausible({
+      domain: settings.PLAUSIBLE_DOMAIN,
+      endpoint: settings.PLAUSIBLE_ENDPOINT
+    }));
+    ANALYTICS.registerAdapter('http', ANALYTICS_ADAPTERS.http({ endpoint: settings.COLLECTOR_ENDPOINT }));
+
+    ANALYTICS.start();
+  }
+
+  // One exposure per experiment shown on this page; `forced` marks QA overrides so reports can drop them
+  trackExperimentExposures() {
+    EXPERIMENTS.active().forEach(({ experiment, variant, forced }) => {
+      if (EXPERIMENTS.targets(experiment).length) {
+        this.trackEvent('experiment_exposure', { experiment, variant, forced });
+      }
+    });
+  }
+
   // Initialize heatmap tracking
   initHeatmapTracking() {
     // Placeholder for heatmap tracking implementation
     console.log('Heatmap tracking initialized');
   }
 
-  // Enhanced smooth scrolling with business context
+  // Enhanced smooth scrolling with business context - route links become history navigations
   initSmoothScrolling() {
-    const navLinks = document.querySelectorAll('nav a[href^="#"]');
+    this.scope.listen(document, 'click', (e) => {
+      const link = e.target.closest('a[href]');
+      if (!link || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+        return;
+      }
 
-    navLinks.forEach(link => {
-      link.addEventListener('click', (e) => {
-        e.preventDefault();
+      const path = this.getRoutePath(link);
+      if (!path) return;
+
+      e.preventDefault();
+
+      // Track navigation clicks for business insights
+      this.trackEvent('navigation_click', { target: path });
+
+      this.navigate(path, { trigger: 'link' });
+    });
+  }
+
+  // Resolve a link to a route path, accepting both /services and legacy #services hrefs
+  getRoutePath(link) {
+    const href = link.getAttribute('href');
+
+    if (href.startsWith('#')) {
+      return ROUTER.pathForSection(href.substring(1));
+    }
+
+    const url = new URL(link.href, window.location.href);
+    if (url.origin !== window.location.origin || link.target === '_blank' || link.hasAttribute('download')) {
+      return null;
+    }
+
+    return ROUTER.match(url.pathname) ? ROUTER.normalize(url.pathname) : null;
+  }
+
+  // Client-side router: handle the initial deep link and back/forward navigation
+  initRouter() {
+    if ('scrollRestoration' in history) {
+      const previous = history.scrollRestoration;
+      history.scrollRestoration = 'manual';
+      this.scope.defer(() => {
+        history.scrollRestoration = previous;
+      });
+    }
+
+    this.scope.listen(window, 'popstate', this.handlePopState);
+    this.scope.listen(window, 'scroll', this.saveScrollPosition, { passive: true });
+    // The active link changes with every navigation
+    document.querySelectorAll('nav a').forEach(link => this.scope.preserve(link, 'class', 'aria-current'));
+
+    // Old links such as /#services still work, but are rewritten to /services
+    const legacyPath = window.location.hash && ROUTER.pathForSection(window.location.hash.substring(1));
+    const path = legacyPath || window.location.pathname;
+    const savedScroll = history.state && history.state.scrollY;
+
+    // A legacy #section hash became the path; any other hash stays on the URL
+    const hash = legacyPath ? '' : window.location.hash;
+    this.navigate(path, { replace: true, trigger: 'initial', scrollY: savedScroll, hash });
+  }
+
+  // Navigate to a path, updating history, the visible section and analytics
+  async navigate(path, { replace = false, trigger = 'api', scrollY = null, hash = '' } = {}) {
+    let match = ROUTER.match(path);
+
+    if (!match) {
+      this.trackEvent('route_not_found', { path });
+      match = ROUTER.match('/');
+      replace = true;
+    }
+
+    if (replace) {
+      // Rewriting the current entry keeps its query string (UTM tags, ?exp= overrides)
+      history.replaceState({ path: match.path, scrollY }, '', `${match.path}${window.location.search}${hash}`);
+    } else if (match.path !== this.currentRoute?.path) {
+      // Remember where we were so Back returns to the same spot
+      history.replaceState({ ...history.state, scrollY: window.scrollY }, '');
+      history.pushState({ path: match.path, scrollY: null }, '', match.path);
+    }
+
+    await this.renderRoute(match, { trigger, scrollY });
+  }
+
+  // Back/forward: re-render the route and restore the saved scroll position
+  handlePopState(e) {
+    const match = ROUTER.match(window.location.pathname) || ROUTER.match('/');
+    const scrollY = e.state ? e.state.scrollY : null;
+    this.renderRoute(match, { trigger: 'popstate', scrollY });
+  }
+
+  // Show the route's section (loading its fragment if needed) and announce the change
+  async renderRoute(match, { trigger, scrollY }) {
+    const previous = this.currentRoute;
+    this.currentRoute = match;
+
+    const fragmentContainer = document.getElementById('service-detail');
+    if (match.route.fragment) {
+      await this.loadFragment(match, fragmentContainer);
+      if (this.currentRoute !== match) return;
+    } else if (fragmentContainer) {
+      fragmentContainer.hidden = true;
+    }
+
+    const target = document.getElementById(match.route.section);
 
-        const targetId = link.getAttribute('href');
-        const targetSection = document.querySelector(targetId);
+    if (scrollY !== null && scrollY !== undefined) {
+      window.scrollTo({ top: scrollY, behavior: 'auto' });
+    } else if (target && !(trigger === 'initial' && match.path === '/')) {
+      this.smoothScrollTo(this.getSectionScrollTop(target), trigger === 'link' ? 'smooth' : 'auto');
+    }
 
-        if (targetSection) {
-          // Track navigation clicks for business insights
-          this.trackEvent('navigation_click', { target: targetId });
+    this.currentSection = match.route.section;
+    this.updateActiveNavigation(this.getNavLinkForRoute(match));
 
-          const headerHeight = document.querySelector('header').offsetHeight;
-          const targetPosition = targetSection.offsetTop - headerHeight - 20;
+    const detail = {
+      path: match.path,
+      section: match.route.section,
+      params: match.params,
+      previousPath: previous ? previous.path : null,
+      trigger
+    };
+    this.trackEvent('route_change', detail);
+    window.dispatchEvent(new CustomEvent('kbrj-route-change', { detail }));
+    this.bus.emit('route:changed', detail);
+  }
 
-          // Smooth scroll with easing
-          this.smoothScrollTo(targetPosition);
+  // Load a route's HTML fragment into its container, caching it for later visits
+  async loadFragment(match, container) {
+    if (!container) return;
 
-          // Update active navigation state
-          this.updateActiveNavigation(link);
+    const url = ROUTER.build(match.route.fragment, match.params);
+    container.setAttribute('aria-busy', 'true');
 
-          // Update current section for analytics
-          this.currentSection = targetId.substring(1);
+    try {
+      if (!this.fragmentCache.has(url)) {
+        const response = await fetch(url, { headers: { 'Accept': 'text/html' } });
+        if (!response.ok) {
+          throw new Error(`Failed to load ${url} (${response.status})`);
         }
+        this.fragmentCache.set(url, await response.text());
+      }
+
+      container.innerHTML = this.fragmentCache.get(url);
+      I18N.translate(container);
+      container.hidden = false;
+    } catch (error) {
+      console.error('Failed to load page fragment:', error);
+      container.hidden = true;
+      this.showMessage(I18N.t('errors.pageLoad'), 'error', {
+        actions: [{ label: I18N.t('notifications.retry'), onClick: () => this.loadFragment(match, container) }]
       });
-    });
+    } finally {
+      container.removeAttribute('aria-busy');
+    }
+  }
+
+  // Keep the current scroll position in the history entry for back/forward
+  saveScrollPosition() {
+    if (!this.currentRoute) return;
+    history.replaceState({ ...history.state, scrollY: window.scrollY }, '');
+  }
+
+  // Document offset of a section, leaving room for the fixed header
+  getSectionScrollTop(target) {
+    return target.getBoundingClientRect().top + window.scrollY - this.getHeaderOffset();
+  }
+
+  // Space the fixed header covers at the top of the viewport, plus a little breathing room
+  getHeaderOffset() {
+    const header = document.querySelector('header');
+    const headerHeight = header ? header.offsetHeight : 0;
+    return headerHeight + 20;
+  }
+
+  // Nav link for a section id, via the route that shows it
+  getNavLinkForSection(sectionId) {
+    const route = CONFIG.ROUTES.find(r => r.section === sectionId);
+    return route ? this.getNavLinkForRoute({ path: route.path }) : null;
+  }
+
+  // Nav link for a route; sub-pages highlight their parent (/services/x -> /services)
+  getNavLinkForRoute(match) {
+    const parentPath = '/' + (match.path.split('/')[1] || '');
+    return document.querySelector(`nav a[href="${match.path}"]`) ||
+      document.querySelector(`nav a[href="${parentPath}"]`);
   }
 
   // Enhanced scroll animations with performance optimization
@@ -214,71 +3582,274 @@ class KBRJSolutions {
     const header = document.querySelector('header');
 
     // Use Intersection Observer for better performance
-    const sectionObserver = new IntersectionObserver((entries) => {
+    const sectionObserver = this.scope.observe(new IntersectionObserver((entries) => {
       entries.forEach(entry => {
         if (entry.isIntersecting) {
+          this.intersectingSections.add(entry.target);
+        } else {
+          this.intersectingSections.delete(entry.target);
+          this.viewedSections.delete(entry.target);
+        }
+
+        if (entry.intersectionRatio >= CONFIG.SCROLL_THRESHOLD && !this.viewedSections.has(entry.target)) {
+          this.viewedSections.add(entry.target);
           entry.target.classList.add('visible', 'loaded');
 
           // Track section visibility for business insights
           const sectionId = entry.target.id || entry.target.className;
           this.trackEvent('section_view', { section: sectionId });
+          this.bus.emit('section:visible', { id: sectionId, element: entry.target });
 
           // Trigger business-specific animations
           this.triggerBusinessAnimations(entry.target);
         }
       });
+
+      this.requestScrollSpyUpdate();
     }, {
-      threshold: CONFIG.SCROLL_THRESHOLD,
+      // 0 keeps the scroll-spy's list of on-screen sections complete
+      threshold: [0, CONFIG.SCROLL_THRESHOLD],
       rootMargin: CONFIG.SCROLL_MARGIN
-    });
+    }));
 
     sections.forEach(section => {
+      // loading gives way to visible and loaded as the section scrolls in
+      this.scope.preserve(section, 'class');
       section.classList.add('loading');
       sectionObserver.observe(section);
     });
 
-    // Store observer for cleanup
-    this.observers.set('sectionObserver', sectionObserver);
-
     // Enhanced header scroll effects
     this.initHeaderScrollEffects(header);
   }
 
+  // At most one scroll-spy pass per frame
+  requestScrollSpyUpdate() {
+    if (this.scrollSpyFrame) return;
+    this.scrollSpyFrame = requestAnimationFrame(() => {
+      this.scrollSpyFrame = null;
+      this.updateScrollSpy();
+    });
+  }
+
+  // Highlight the nav link of the section taking up most of the viewport below the header
+  updateScrollSpy() {
+    if (this.intersectingSections.size === 0) return;
+
+    const offset = this.getHeaderOffset();
+    const viewportHeight = window.innerHeight;
+    // A short last section can never fill the viewport, so at the bottom of the page it wins
+    const atBottom = window.innerHeight + window.scrollY >= document.documentElement.scrollHeight - 2;
+
+    const sections = Array.from(this.intersectingSections)
+      .filter(section => section.id && this.getNavLinkForSection(section.id))
+      .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+
+    let active = null;
+    let mostVisible = 0;
+    sections.forEach(section => {
+      const rect = section.getBoundingClientRect();
+      const visible = Math.min(rect.bottom, viewportHeight) - Math.max(rect.top, offset);
+      if (visible > 0 && (atBottom || visible > mostVisible)) {
+        active = section;
+        mostVisible = visible;
+      }
+    });
+    if (!active) return;
+
+    // A route that points inside this section (e.g. /early-access in the hero) keeps its own link while in view
+    const routeTarget = this.currentRoute && document.getElementById(this.currentRoute.route.section);
+    if (routeTarget && routeTarget !== active && active.contains(routeTarget)) {
+      const rect = routeTarget.getBoundingClientRect();
+      if (rect.bottom > offset && rect.top < viewportHeight) {
+        this.currentSection = this.currentRoute.route.section;
+        this.updateActiveNavigation(this.getNavLinkForRoute(this.currentRoute));
+        return;
+      }
+    }
+
+    this.currentSection = active.id;
+    this.updateActiveNavigation(this.getNavLinkForSection(active.id));
+  }
+
   // Enhanced form handling with business logic
   initFormHandling() {
     const forms = document.querySelectorAll('form');
+    BOT_GUARD.loadLog(this.formSubmissions);
 
-    forms.forEach(form => {
-      // Add CSRF protection
-      this.addCSRFProtection(form);
+    forms.forEach(form => this.enhanceForm(form));
+    this.scope.defer(() => {
+      forms.forEach(form => form.querySelectorAll('input, textarea, select').forEach(field => this.clearFieldError(field)));
+    });
+  }
 
-      // Add form analytics
-      this.addFormAnalytics(form);
+  // Wire a form into the submission pipeline (also used for forms rendered later, with their own scope)
+  enhanceForm(form, scope = this.scope) {
+    // Add CSRF protection
+    this.addCSRFProtection(form, scope);
 
-      form.addEventListener('submit', (e) => {
-        e.preventDefault();
-        this.handleFormSubmission(form);
-      });
+    // Add form analytics
+    this.addFormAnalytics(form, scope);
+
+    // Bot defenses: a field only bots fill in, and the time the form became available
+    this.addHoneypot(form, scope);
+    this.formStartTimes.set(form, Date.now());
 
-      // Real-time validation
-      this.initRealTimeValidation(form);
+    scope.listen(form, 'submit', (e) => {
+      e.preventDefault();
+      this.handleFormSubmission(form);
     });
+
+    // Real-time validation
+    this.initRealTimeValidation(form, scope);
+  }
+
+  // Replay saved submissions now, whenever we reconnect and, after a server failure, on a backoff timer
+  initSubmissionQueue() {
+    this.queueRetryTimer = null;
+    this.scope.listen(window, 'online', this.flushSubmissionQueue);
+    this.flushSubmissionQueue();
+  }
+
+  // Send queued submissions in order, stopping at the first retryable failure
+  async flushSubmissionQueue() {
+    if (this.isFlushingQueue || !navigator.onLine) return;
+    this.isFlushingQueue = true;
+
+    let sent = 0;
+    let retry = false;
+    try {
+      for (const entry of SUBMISSION_QUEUE.entries()) {
+        try {
+          await this.submitForm(entry.data, entry.formType, { idempotencyKey: entry.id, maxAttempts: 1 });
+          SUBMISSION_QUEUE.remove(entry.id);
+          sent++;
+          this.trackEvent('queued_submission_sent', { form_type: entry.formType, attempts: entry.attempts + 1 });
+        } catch (error) {
+          if (error.retryable) {
+            SUBMISSION_QUEUE.markAttempt(entry.id);
+            retry = true;
+            break;
+          }
+
+          // The server rejected it outright; retrying will never succeed
+          SUBMISSION_QUEUE.remove(entry.id);
+          this.trackEvent('queued_submission_dropped', {
+            form_type: entry.formType,
+            error_type: error.name,
+            status: error.status || 0
+          });
+        }
+      }
+    } finally {
+      this.isFlushingQueue = false;
+    }
+
+    if (sent > 0) {
+      this.showMessage(I18N.t('forms.replayed', { count: sent }), 'success');
+    }
+    if (retry) {
+      this.scheduleQueueRetry();
+    }
+  }
+
+  // An online visitor gets no 'online' event, so a server failure is retried on a timer instead
+  scheduleQueueRetry() {
+    if (this.queueRetryTimer || !navigator.onLine) return;
+    const [next] = SUBMISSION_QUEUE.entries();
+    if (!next) return;
+
+    const delay = Math.min(CONFIG.QUEUE.MAX_RETRY_DELAY, CONFIG.QUEUE.RETRY_DELAY * 2 ** next.attempts);
+    this.queueRetryTimer = this.scope.timeout(() => {
+      this.queueRetryTimer = null;
+      this.flushSubmissionQueue();
+    }, delay);
+  }
+
+  // Save a failed submission for later; returns true if it was stored
+  queueSubmission(form, formType, submissionData, idempotencyKey) {
+    if (CONFIG.QUEUE.SKIP_FORM_TYPES.includes(formType)) return false;
+
+    const stored = SUBMISSION_QUEUE.enqueue({ id: idempotencyKey, formType, data: submissionData });
+    if (stored) {
+      if (form.closest('.dialog')) {
+        form.hidden = true;
+      }
+      // Offline waits for the connection; a server failure while online is retried on a timer
+      const offline = !navigator.onLine;
+      this.showFormMessage(form, I18N.t(offline ? 'forms.queued' : 'forms.queuedRetry'), 'queued', { duration: 0 });
+      this.trackEvent('form_submission_queued', { form_type: formType, queue_size: SUBMISSION_QUEUE.size, offline });
+      this.scheduleQueueRetry();
+    }
+    return stored;
+  }
+
+  // Add CSRF protection to form; submitForm sends the current token regardless of this input's value
+  addCSRFProtection(form, scope = this.scope) {
+    const tokenInput = document.createElement('input');
+    tokenInput.type = 'hidden';
+    tokenInput.name = '_csrf';
+    tokenInput.value = CSRF.token || '';
+    form.appendChild(scope.adopt(tokenInput));
+
+    // Fetch the token ahead of the first submission
+    CSRF.get().catch(error => console.warn('Failed to fetch CSRF token:', error));
+  }
+
+  // Hidden from people and assistive tech; anything typed here came from a bot
+  addHoneypot(form, scope = this.scope) {
+    const trap = document.createElement('div');
+    trap.className = 'form-trap';
+    trap.setAttribute('aria-hidden', 'true');
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.name = CONFIG.SPAM.HONEYPOT_FIELD;
+    input.tabIndex = -1;
+    input.autocomplete = 'off';
+
+    trap.appendChild(input);
+    form.appendChild(scope.adopt(trap));
   }
 
-  // Add CSRF protection to form
-  addCSRFProtection(form) {
-    const csrfToken = SECURITY.generateCSRFToken();
-    const tokenInput = document.createElement('input');
-    tokenInput.type = 'hidden';
-    tokenInput.name = '_csrf';
-    tokenInput.value = csrfToken;
-    form.appendChild(tokenInput);
+  // Reason code for rejecting a submission as automated or abusive, or null to let it through
+  screenSubmission(form, formType) {
+    const honeypot = form.querySelector(`[name="${CONFIG.SPAM.HONEYPOT_FIELD}"]`);
+    if (honeypot && honeypot.value) return 'honeypot';
+
+    if (Date.now() - (this.formStartTimes.get(form) || 0) < CONFIG.SPAM.MIN_SUBMIT_TIME) return 'too_fast';
+
+    if (BOT_GUARD.recent(this.formSubmissions, formType).length >= CONFIG.SPAM.RATE_LIMIT.MAX_SUBMISSIONS) {
+      return 'rate_limited';
+    }
+    return null;
+  }
+
+  recordSubmission(formType) {
+    this.formSubmissions.set(formType, [...BOT_GUARD.recent(this.formSubmissions, formType), Date.now()]);
+    BOT_GUARD.saveLog(this.formSubmissions);
+  }
+
+  // Bots that hit the honeypot see a normal success so they don't learn to avoid it
+  rejectSubmission(form, formType, reason) {
+    this.trackEvent('form_submission_rejected', { form_type: formType, reason });
+
+    if (reason === 'honeypot') {
+      this.showFormSuccess(form, formType);
+      form.reset();
+    } else if (reason === 'too_fast') {
+      this.showFormError(form, I18N.t('errors.tooFast'));
+    } else {
+      const [oldest] = BOT_GUARD.recent(this.formSubmissions, formType);
+      const minutes = Math.max(1, Math.ceil((oldest + CONFIG.SPAM.RATE_LIMIT.WINDOW - Date.now()) / 60000));
+      this.showFormError(form, I18N.t('errors.rateLimited', { count: minutes }));
+    }
   }
 
   // Add form analytics
-  addFormAnalytics(form) {
+  addFormAnalytics(form, scope = this.scope) {
     // Track form interactions for business insights
-    form.addEventListener('focusin', (e) => {
+    scope.listen(form, 'focusin', (e) => {
       if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
         this.trackEvent('form_field_focus', { field: e.target.name, form: form.className });
       }
@@ -286,14 +3857,14 @@ class KBRJSolutions {
   }
 
   // Initialize real-time validation
-  initRealTimeValidation(form) {
-    const inputs = form.querySelectorAll('input, textarea');
+  initRealTimeValidation(form, scope = this.scope) {
+    const inputs = form.querySelectorAll('input, textarea, select');
     inputs.forEach(input => {
-      input.addEventListener('blur', () => {
-        this.validateField(input);
+      scope.listen(input, 'blur', () => {
+        this.validateFieldAsync(input);
       });
 
-      input.addEventListener('input', () => {
+      scope.listen(input, 'input', () => {
         this.clearFieldError(input);
       });
     });
@@ -302,15 +3873,25 @@ class KBRJSolutions {
   // Navigation effects
   initNavigationEffects() {
     const navLinks = document.querySelectorAll('nav a');
+    navLinks.forEach(link => this.scope.addClass(link, 'hover-pop'));
+  }
 
-    navLinks.forEach(link => {
-      link.addEventListener('mouseenter', function () {
-        this.style.transform = 'translateY(-2px) scale(1.05)';
-      });
-
-      link.addEventListener('mouseleave', function () {
-        this.style.transform = 'translateY(0) scale(1)';
-      });
+  // Hamburger menu for small screens
+  initMobileNav() {
+    const toggle = document.querySelector('.nav-toggle');
+    const menu = document.getElementById(toggle ? toggle.getAttribute('aria-controls') : '');
+    if (!toggle || !menu) return;
+
+    this.mobileNav = new MobileNav({
+      toggle,
+      menu,
+      onChange: (isOpen, reason) => {
+        this.trackEvent(isOpen ? 'mobile_nav_open' : 'mobile_nav_close', { reason });
+      }
+    });
+    this.scope.defer(() => {
+      this.mobileNav.destroy();
+      this.mobileNav = null;
     });
   }
 
@@ -334,22 +3915,117 @@ class KBRJSolutions {
 
   // Enhance email capture functionality
   enhanceEmailCapture(emailInput, submitButton) {
-    // Add email validation on blur
-    emailInput.addEventListener('blur', () => {
-      this.validateField(emailInput);
-    });
-
-    // Clear errors on input
-    emailInput.addEventListener('input', () => {
-      this.clearFieldError(emailInput);
-    });
+    // Validation on blur and clearing on input come from initRealTimeValidation
 
     // Track email capture attempts
-    emailInput.addEventListener('focus', () => {
+    this.scope.listen(emailInput, 'focus', () => {
       this.trackEvent('email_capture_focus', { source: 'hero_section' });
     });
   }
 
+  async loadServiceCatalog() {
+    try {
+      await SERVICES.load();
+    } catch (error) {
+      console.error('Service catalog unavailable:', error);
+      MONITORING.capture(error, { context: 'service_catalog' });
+    }
+  }
+
+  // Render a card per catalog entry into the services grid, or an error with a retry button
+  renderServiceCards() {
+    const grid = document.querySelector('.services-grid');
+    if (!grid) return;
+
+    const services = SERVICES.all();
+    grid.replaceChildren(...(services.length > 0
+      ? services.map(service => this.buildServiceCard(service))
+      : [this.buildServiceCatalogError()]));
+    I18N.translate(grid);
+    this.scope.defer(() => grid.replaceChildren());
+  }
+
+  buildServiceCatalogError() {
+    const error = document.createElement('div');
+    error.className = 'services-error';
+    error.setAttribute('role', 'alert');
+
+    const text = document.createElement('p');
+    text.dataset.i18n = 'services.loadError';
+
+    const retry = document.createElement('button');
+    retry.type = 'button';
+    retry.className = 'cta-button services-retry';
+    retry.dataset.i18n = 'notifications.retry';
+    retry.addEventListener('click', () => this.retryServiceCatalog(retry));
+
+    error.append(text, retry);
+    return error;
+  }
+
+  // Load the catalog again and set the new cards up the way init() does
+  async retryServiceCatalog(button) {
+    button.disabled = true;
+    await this.loadServiceCatalog();
+    this.renderServiceCards();
+    if (SERVICES.all().length === 0) return;
+
+    this.initKeyboardNavigation();
+    this.initServiceCards();
+    this.initPlanRecommender();
+    this.trackServiceInterest();
+    MOTION.reveal(document.querySelectorAll('.services-grid .service-card'));
+  }
+
+  buildServiceCard(service) {
+    const card = document.createElement('div');
+    card.className = 'service-card';
+    card.dataset.service = service.id;
+
+    const icon = document.createElement('div');
+    icon.className = 'service-icon';
+    icon.textContent = service.icon || '';
+
+    const title = document.createElement('h3');
+    title.dataset.i18n = `services.${service.key}.title`;
+
+    // "Your Problem:" / "Our Solution:" blocks
+    const [problem, solution] = ['problem', 'solution'].map(part => {
+      const block = document.createElement('div');
+      block.className = part;
+      const label = document.createElement('strong');
+      label.dataset.i18n = `services.${part}Label`;
+      const text = document.createElement('span');
+      text.dataset.i18n = `services.${service.key}.${part}`;
+      block.append(label, ' ', text);
+      return block;
+    });
+
+    const pricing = document.createElement('div');
+    pricing.className = 'pricing';
+    pricing.dataset.i18n = `services.${service.key}.pricing`;
+    if (service.pricingParams) {
+      pricing.dataset.i18nParams = JSON.stringify(service.pricingParams);
+    }
+
+    card.append(icon, title, problem, solution, pricing);
+
+    if (service.detailsPage) {
+      const details = document.createElement('a');
+      details.href = ROUTER.build('/services/:service', { service: service.id });
+      details.className = 'service-details-link';
+      details.dataset.i18n = 'services.detailsLink';
+      card.appendChild(details);
+    }
+
+    const cta = document.createElement('button');
+    cta.className = 'service-cta';
+    cta.dataset.i18n = `services.${service.key}.cta`;
+    card.appendChild(cta);
+
+    return card;
+  }
+
   // Initialize service cards with business interactions
   initServiceCards() {
     const serviceCards = document.querySelectorAll('.service-card');
@@ -372,13 +4048,530 @@ class KBRJSolutions {
       this.trackEvent('service_card_click', { service: serviceType });
     });
 
-    // Add hover effects
-    card.addEventListener('mouseenter', () => {
-      card.style.transform = 'translateY(-5px) scale(1.02)';
+    // The CTA opens the lead flow for this card's service
+    const cta = card.querySelector('.service-cta');
+    if (cta) {
+      cta.addEventListener('click', () => {
+        const serviceType = this.getServiceType(card);
+        // The catalog decides: book a strategy call, or collect a lead
+        const service = SERVICES.get(serviceType);
+        if (service && service.flow === 'scheduler') {
+          this.openScheduler(serviceType, cta);
+        } else {
+          this.openLeadFlow(serviceType, cta);
+        }
+      });
+    }
+
+    // Hover lift and staggered entrance are styled in CSS
+    card.classList.add('hover-lift', 'reveal-item');
+  }
+
+  // Open the lead capture dialog for a service
+  openLeadFlow(serviceType, opener) {
+    const service = SERVICES.get(serviceType);
+    if (!service || !service.lead) {
+      console.warn(`No lead flow configured for service "${serviceType}"`);
+      return null;
+    }
+
+    const form = this.buildLeadForm(service);
+    // Ends with the dialog, or with the app if that goes first
+    const scope = this.scope.child();
+    const dialog = new Dialog({
+      title: I18N.t(`leads.${service.key}.title`),
+      content: form,
+      className: 'lead-dialog',
+      onClose: (reason) => {
+        scope.close();
+        this.trackEvent('lead_flow_close', { service: serviceType, reason, submitted: form.hidden });
+        dialog.destroy();
+      }
+    });
+
+    this.enhanceForm(form, scope);
+    form.addEventListener('submit', () => {
+      this.trackEvent('conversion_funnel', { stage: 'lead_form_submission', service: serviceType, experiments: EXPERIMENTS.summary() });
+    });
+
+    dialog.open({ opener });
+    this.trackEvent('lead_flow_open', { service: serviceType });
+    return dialog;
+  }
+
+  // Render a lead form from the service's catalog entry
+  buildLeadForm(service) {
+    const serviceType = service.id;
+    const form = document.createElement('form');
+    form.className = 'lead-form';
+    form.dataset.service = serviceType;
+
+    const intro = document.createElement('p');
+    intro.className = 'lead-intro';
+    intro.dataset.i18n = `leads.${service.key}.intro`;
+    intro.textContent = I18N.t(intro.dataset.i18n);
+    form.appendChild(intro);
+
+    // Tag the submission with the service it came from
+    const serviceInput = document.createElement('input');
+    serviceInput.type = 'hidden';
+    serviceInput.name = 'serviceType';
+    serviceInput.value = serviceType;
+    form.appendChild(serviceInput);
+
+    service.lead.fields.forEach(field => form.appendChild(this.buildLeadField(field, serviceType)));
+
+    const submitButton = document.createElement('button');
+    submitButton.type = 'submit';
+    submitButton.className = 'lead-submit';
+    submitButton.dataset.i18n = `leads.${service.key}.submit`;
+    submitButton.textContent = I18N.t(submitButton.dataset.i18n);
+    form.appendChild(submitButton);
+
+    return form;
+  }
+
+  // One labelled field: text-like input, textarea, select or a checkbox group.
+  // Every text node carries its data-i18n key so switching language retranslates the open form.
+  buildLeadField(field, serviceType) {
+    const id = `lead-${serviceType}-${field.name}`;
+    const translated = (element, key) => {
+      element.dataset.i18n = key;
+      element.textContent = I18N.t(key);
+      return element;
+    };
+    const labelKey = `leads.fields.${field.name}`;
+    const optionKey = (value) => `leads.options.${field.name}.${value}`;
+
+    if (field.type === 'checkboxes') {
+      const fieldset = document.createElement('fieldset');
+      fieldset.className = 'form-group lead-options';
+      fieldset.appendChild(translated(document.createElement('legend'), labelKey));
+
+      field.options.forEach(value => {
+        const optionId = `${id}-${value}`;
+        const wrapper = document.createElement('div');
+        wrapper.className = 'lead-option';
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.id = optionId;
+        input.name = field.name;
+        input.value = value;
+        const optionLabelElement = document.createElement('label');
+        optionLabelElement.htmlFor = optionId;
+        translated(optionLabelElement, optionKey(value));
+        wrapper.append(input, optionLabelElement);
+        fieldset.appendChild(wrapper);
+      });
+      return fieldset;
+    }
+
+    const group = document.createElement('div');
+    group.className = 'form-group';
+
+    const labelElement = translated(document.createElement('label'), labelKey);
+    labelElement.htmlFor = id;
+
+    let control;
+    if (field.type === 'select') {
+      control = document.createElement('select');
+      const placeholder = translated(document.createElement('option'), 'leads.choose');
+      placeholder.value = '';
+      control.appendChild(placeholder);
+      field.options.forEach(value => {
+        const option = translated(document.createElement('option'), optionKey(value));
+        option.value = value;
+        control.appendChild(option);
+      });
+    } else if (field.type === 'textarea') {
+      control = document.createElement('textarea');
+      control.rows = 3;
+    } else {
+      control = document.createElement('input');
+      control.type = field.type;
+    }
+
+    control.id = id;
+    control.name = field.name;
+    control.required = Boolean(field.required);
+    if (field.maxLength) control.maxLength = field.maxLength;
+    if (field.type === 'email') control.autocomplete = 'email';
+    if (field.name === 'name') control.autocomplete = 'name';
+
+    group.append(labelElement, control);
+    return group;
+  }
+
+  // Open the strategy call scheduler for a service whose catalog flow is "scheduler"
+  openScheduler(serviceType, opener) {
+    const form = this.buildBookingForm(serviceType);
+    const select = form.querySelector('select[name="slot"]');
+    const handleSlotsUpdate = (e) => this.renderSlotOptions(select, e.detail.slots);
+    let calendarUrl = null;
+    const scope = this.scope.child();
+
+    const dialog = new Dialog({
+      title: I18N.t('scheduler.title'),
+      content: form,
+      className: 'scheduler-dialog',
+      onClose: (reason) => {
+        scope.close();
+        if (calendarUrl) URL.revokeObjectURL(calendarUrl);
+        this.trackEvent('scheduler_close', { reason, booked: Boolean(calendarUrl) });
+        dialog.destroy();
+      }
+    });
+
+    scope.listen(window, 'kbrj-slots-update', handleSlotsUpdate);
+    this.enhanceForm(form, scope);
+
+    select.addEventListener('change', () => {
+      if (select.value) this.trackSchedulerStage('slot_selected', serviceType);
+    });
+    form.addEventListener('submit', () => this.trackSchedulerStage('booking_submission', serviceType));
+    form.addEventListener('kbrj-form-success', (e) => {
+      this.trackSchedulerStage('booking_confirmed', serviceType);
+      calendarUrl = this.showBookingConfirmation(form, e.detail.result.booking);
+    });
+    form.addEventListener('kbrj-form-error', (e) => {
+      // The slot was taken in the meantime - refresh the list so it disappears
+      if (e.detail.error.status === 409) {
+        SCHEDULING.fetchSlots().catch(error => console.warn('Failed to refresh slots:', error));
+      }
+    });
+    form.querySelector('.scheduler-fallback').addEventListener('click', () => {
+      dialog.close('fallback');
+      this.openLeadFlow(serviceType, opener);
+    });
+
+    dialog.open({ opener });
+    this.trackSchedulerStage('scheduler_open', serviceType);
+
+    SCHEDULING.fetchSlots().catch(error => {
+      console.error('Failed to load available slots:', error);
+      this.renderSlotOptions(select, [], I18N.t('scheduler.loadError'));
+    });
+    return dialog;
+  }
+
+  trackSchedulerStage(stage, serviceType) {
+    this.trackEvent('conversion_funnel', { stage, service: serviceType, experiments: EXPERIMENTS.summary() });
+  }
+
+  // Booking form: slot picker, name, email and the service's catalog lead fields, plus the visitor's time zone
+  buildBookingForm(serviceType) {
+    const form = document.createElement('form');
+    form.className = 'booking-form';
+    form.dataset.service = serviceType;
+
+    const intro = document.createElement('p');
+    intro.className = 'lead-intro';
+    intro.textContent = I18N.t('scheduler.intro');
+
+    const timeZone = SCHEDULING.timeZone();
+    const timeZoneNote = document.createElement('p');
+    timeZoneNote.className = 'scheduler-timezone';
+    timeZoneNote.textContent = I18N.t('scheduler.timeZone', { timeZone });
+
+    const slotGroup = document.createElement('div');
+    slotGroup.className = 'form-group';
+    const slotLabel = document.createElement('label');
+    slotLabel.htmlFor = 'booking-slot';
+    slotLabel.textContent = I18N.t('scheduler.fields.slot');
+    const select = document.createElement('select');
+    select.id = 'booking-slot';
+    select.name = 'slot';
+    select.required = true;
+    select.disabled = true;
+    const loading = document.createElement('option');
+    loading.value = '';
+    loading.textContent = I18N.t('scheduler.loading');
+    select.appendChild(loading);
+    slotGroup.append(slotLabel, select);
+
+    const status = document.createElement('p');
+    status.className = 'scheduler-status';
+    status.setAttribute('role', 'status');
+
+    const fallback = document.createElement('button');
+    fallback.type = 'button';
+    fallback.className = 'scheduler-fallback';
+    fallback.textContent = I18N.t('scheduler.fallback');
+    fallback.hidden = true;
+
+    form.append(intro, timeZoneNote, slotGroup, status, fallback);
+
+    const service = SERVICES.get(serviceType);
+    const serviceFields = service && service.lead ? service.lead.fields : [];
+    [
+      { name: 'name', type: 'text', required: true },
+      { name: 'email', type: 'email', required: true },
+      ...serviceFields.filter(field => field.name !== 'name' && field.name !== 'email')
+    ].forEach(field => form.appendChild(this.buildLeadField(field, 'booking')));
+
+    [['serviceType', serviceType], ['timeZone', timeZone]].forEach(([name, value]) => {
+      const input = document.createElement('input');
+      input.type = 'hidden';
+      input.name = name;
+      input.value = value;
+      form.appendChild(input);
+    });
+
+    const submitButton = document.createElement('button');
+    submitButton.type = 'submit';
+    submitButton.className = 'lead-submit';
+    submitButton.dataset.i18n = 'scheduler.submit';
+    submitButton.textContent = I18N.t('scheduler.submit');
+    form.appendChild(submitButton);
+
+    return form;
+  }
+
+  // Fill the slot picker grouped by local day, keeping the current choice if it is still open
+  renderSlotOptions(select, slots, errorMessage = null) {
+    const form = select.form;
+    const previous = select.value;
+
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = I18N.t(slots.length > 0 ? 'scheduler.choose' : 'scheduler.none');
+    select.replaceChildren(placeholder);
+
+    SCHEDULING.groupByDay(slots).forEach((daySlots, day) => {
+      const group = document.createElement('optgroup');
+      group.label = day;
+      daySlots.forEach(slot => {
+        const option = document.createElement('option');
+        option.value = slot.start;
+        option.textContent = I18N.formatDate(slot.start, { hour: 'numeric', minute: '2-digit' });
+        group.appendChild(option);
+      });
+      select.appendChild(group);
+    });
+
+    // A chosen slot that was just booked stays visible but disabled, so its error makes sense
+    if (previous && !slots.some(slot => slot.start === previous)) {
+      const taken = document.createElement('option');
+      taken.value = previous;
+      taken.disabled = true;
+      taken.textContent = I18N.t('scheduler.taken', {
+        time: I18N.formatDate(previous, { weekday: 'short', hour: 'numeric', minute: '2-digit' })
+      });
+      placeholder.after(taken);
+    }
+
+    select.value = previous;
+    select.disabled = slots.length === 0;
+
+    // With nothing to book, offer the regular healthcare lead form instead
+    form.querySelector('.scheduler-status').textContent =
+      errorMessage || (slots.length === 0 ? I18N.t('scheduler.noSlots') : '');
+    form.querySelector('.scheduler-fallback').hidden = slots.length > 0;
+  }
+
+  // Confirm the booking and offer it as a calendar file; returns the file's object URL
+  showBookingConfirmation(form, booking) {
+    const ics = SCHEDULING.toICS({
+      uid: booking.id,
+      start: booking.start,
+      end: booking.end,
+      summary: I18N.t('scheduler.calendar.summary'),
+      description: I18N.t('scheduler.calendar.description')
+    });
+    const url = URL.createObjectURL(new Blob([ics], { type: 'text/calendar' }));
+
+    const confirmation = document.createElement('div');
+    confirmation.className = 'booking-confirmation';
+
+    const when = document.createElement('p');
+    when.textContent = I18N.t('scheduler.confirmation', {
+      date: I18N.formatDate(booking.start, { dateStyle: 'full', timeStyle: 'short' })
+    });
+
+    const download = document.createElement('a');
+    download.className = 'ics-download';
+    download.href = url;
+    download.download = 'kbrj-strategy-call.ics';
+    download.textContent = I18N.t('scheduler.addToCalendar');
+    download.addEventListener('click', () => this.trackSchedulerStage('calendar_download', form.dataset.service));
+
+    confirmation.append(when, download);
+    form.parentNode.appendChild(confirmation);
+    download.focus();
+    return url;
+  }
+
+  // Add the plan recommender to the card of the catalog service that lists `plans`
+  initPlanRecommender() {
+    const service = SERVICES.all().find(item => Array.isArray(item.plans) && item.plans.length > 0);
+    if (!service) return;
+    const card = document.querySelector(`.service-card[data-service="${CSS.escape(service.id)}"]`);
+    if (!card) return;
+    PET_PLANS.load(service);
+
+    // The pricing line is rendered from the same tiers the recommender compares
+    const pricing = card.querySelector('.pricing');
+    if (pricing) {
+      pricing.dataset.i18nParams = JSON.stringify(PET_PLANS.pricingParams());
+      pricing.textContent = I18N.t(pricing.dataset.i18n, I18N.parseParams(pricing));
+    }
+
+    const recommender = this.buildPlanRecommender();
+    card.insertBefore(recommender, card.querySelector('.service-details-link'));
+
+    recommender.addEventListener('input', () => this.updatePlanRecommendation(recommender));
+    recommender.addEventListener('change', (e) => {
+      // Write the clamped value back once the visitor is done typing
+      if (e.target.name in PET_PLANS.limits) {
+        e.target.value = PET_PLANS.clamp(e.target.name, e.target.value);
+      }
+      this.updatePlanRecommendation(recommender);
+    });
+    recommender.querySelector('.plan-choose').addEventListener('click', () => {
+      this.choosePlan(recommender.dataset.plan, this.getPlanInputs(recommender));
+    });
+    this.scope.listen(window, 'kbrj-locale-change', () => this.updatePlanRecommendation(recommender));
+
+    this.updatePlanRecommendation(recommender);
+  }
+
+  // Render the recommender; labels use data-i18n, results are filled in by updatePlanRecommendation
+  buildPlanRecommender() {
+    const recommender = document.createElement('div');
+    recommender.className = 'plan-recommender';
+    recommender.setAttribute('role', 'group');
+    recommender.setAttribute('aria-labelledby', 'plan-recommender-title');
+
+    const title = document.createElement('h4');
+    title.id = 'plan-recommender-title';
+    title.dataset.i18n = 'plans.title';
+    title.textContent = I18N.t('plans.title');
+
+    const inputs = document.createElement('div');
+    inputs.className = 'plan-inputs';
+    Object.entries(PET_PLANS.limits).forEach(([name, { min, max }]) => {
+      const label = document.createElement('label');
+      label.className = 'plan-input';
+
+      const text = document.createElement('span');
+      text.dataset.i18n = `plans.inputs.${name}`;
+      text.textContent = I18N.t(`plans.inputs.${name}`);
+
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.name = name;
+      input.min = min;
+      input.max = max;
+      input.step = 1;
+      input.inputMode = 'numeric';
+      input.value = PET_PLANS.defaults[name];
+
+      label.append(text, input);
+      inputs.appendChild(label);
+    });
+
+    const results = document.createElement('ul');
+    results.className = 'plan-results';
+    PET_PLANS.tiers.forEach(tier => {
+      const item = document.createElement('li');
+      item.className = 'plan-result';
+      item.dataset.plan = tier.id;
+
+      const name = document.createElement('span');
+      name.className = 'plan-name';
+      name.dataset.i18n = `plans.tiers.${tier.key}.name`;
+      name.textContent = I18N.t(`plans.tiers.${tier.key}.name`);
+
+      const cost = document.createElement('span');
+      cost.className = 'plan-cost';
+
+      item.append(name, cost);
+      results.appendChild(item);
+    });
+
+    const summary = document.createElement('p');
+    summary.className = 'plan-summary';
+    summary.setAttribute('aria-live', 'polite');
+
+    const choose = document.createElement('button');
+    choose.type = 'button';
+    choose.className = 'plan-choose';
+    choose.dataset.i18n = 'plans.choose';
+    choose.textContent = I18N.t('plans.choose');
+
+    recommender.append(title, inputs, results, summary, choose);
+    return recommender;
+  }
+
+  getPlanInputs(recommender) {
+    return {
+      claims: PET_PLANS.clamp('claims', recommender.querySelector('[name="claims"]').value),
+      pets: PET_PLANS.clamp('pets', recommender.querySelector('[name="pets"]').value)
+    };
+  }
+
+  // Price every tier for the current inputs and highlight the cheapest
+  updatePlanRecommendation(recommender) {
+    const { claims, pets } = this.getPlanInputs(recommender);
+    const ranked = PET_PLANS.compare(claims, pets);
+    const [best, next] = ranked;
+
+    ranked.forEach(({ tier, cost }) => {
+      const item = recommender.querySelector(`.plan-result[data-plan="${tier.id}"]`);
+      item.classList.toggle('recommended', tier === best.tier);
+      item.querySelector('.plan-cost').textContent = I18N.t('plans.cost', { amount: { currency: cost } });
+    });
+
+    const savings = next ? Math.round((next.cost - best.cost) * 100) / 100 : 0;
+    const params = {
+      plan: I18N.t(`plans.tiers.${best.tier.key}.name`),
+      cost: { currency: best.cost },
+      savings: { currency: savings },
+      alternative: next ? I18N.t(`plans.tiers.${next.tier.key}.name`) : ''
+    };
+    recommender.querySelector('.plan-summary').textContent =
+      I18N.t(savings > 0 ? 'plans.summary' : 'plans.summaryTie', params);
+    recommender.dataset.plan = best.tier.id;
+  }
+
+  // Remember the chosen plan, attach it to the early access form and take the visitor there
+  choosePlan(planId, { claims, pets }) {
+    const tier = PET_PLANS.tier(planId);
+    if (!tier) return;
+
+    this.selectedPlan = { id: tier.id, claims, pets };
+    this.trackEvent('plan_selected', {
+      service: PET_PLANS.serviceId,
+      plan: tier.id,
+      claims,
+      pets,
+      yearly_cost: PET_PLANS.cost(tier, claims, pets)
     });
 
-    card.addEventListener('mouseleave', () => {
-      card.style.transform = 'translateY(0) scale(1)';
+    const form = document.querySelector('.email-form');
+    if (!form) return;
+
+    let planInput = form.querySelector('input[name="plan"]');
+    if (!planInput) {
+      planInput = document.createElement('input');
+      planInput.type = 'hidden';
+      planInput.name = 'plan';
+      form.appendChild(this.scope.adopt(planInput));
+    }
+    planInput.value = tier.id;
+
+    let note = form.parentNode.querySelector('.selected-plan');
+    if (!note) {
+      note = document.createElement('p');
+      note.className = 'selected-plan';
+      form.insertAdjacentElement('afterend', this.scope.adopt(note));
+    }
+    note.dataset.i18n = `plans.tiers.${tier.key}.selected`;
+    note.textContent = I18N.t(note.dataset.i18n);
+
+    this.navigate(ROUTER.pathForSection('early-access') || '/', { trigger: 'plan' }).then(() => {
+      const emailInput = form.querySelector('.email-input');
+      if (emailInput) emailInput.focus({ preventScroll: true });
     });
   }
 
@@ -386,24 +4579,48 @@ class KBRJSolutions {
   async handleFormSubmission(form) {
     const formData = new FormData(form);
     const formType = this.getFormType(form);
+    const idempotencyKey = SECURITY.generateId();
+    let submissionData;
+
+    // A new attempt replaces whatever the last one reported
+    this.notifications.clear(form);
 
     try {
       // Validate form
-      if (!this.validateForm(form)) {
+      if (!(await this.validateForm(form))) {
         return;
       }
 
       // Show loading state
       this.showFormLoading(form);
 
-      // Prepare submission data
-      const submissionData = this.prepareSubmissionData(formData, formType);
+      // Prepare submission data and check it against the same schema
+      submissionData = this.prepareSubmissionData(formData, formType);
+      const payloadCheck = VALIDATION.validateData(this.getFormSchema(form), submissionData);
+      if (!payloadCheck.valid) {
+        this.applyFieldErrors(form, payloadCheck.errors);
+        return;
+      }
+
+      // Turn away bots and rapid repeats before anything is sent
+      const rejection = this.screenSubmission(form, formType);
+      if (rejection) {
+        this.rejectSubmission(form, formType, rejection);
+        return;
+      }
+      this.recordSubmission(formType);
 
-      // Submit form (simulate API call for now)
-      await this.submitForm(submissionData, formType);
+      // Submit form to the API, or save it for later when offline
+      if (!navigator.onLine && this.queueSubmission(form, formType, submissionData, idempotencyKey)) {
+        form.reset();
+        return;
+      }
+      const result = await this.submitForm(submissionData, formType, { idempotencyKey, form });
 
       // Show success message
       this.showFormSuccess(form, formType);
+      form.dispatchEvent(new CustomEvent('kbrj-form-success', { bubbles: true, detail: { formType, result } }));
+      this.bus.emit('form:submitted', { formType, form, result });
 
       // Track successful submission
       this.trackEvent('form_submission_success', { form_type: formType });
@@ -412,69 +4629,121 @@ class KBRJSolutions {
       form.reset();
 
     } catch (error) {
-      this.showFormError(form, error.message);
-      this.trackEvent('form_submission_error', { form_type: formType, error: error.message });
+      if (error.retryable && submissionData && this.queueSubmission(form, formType, submissionData, idempotencyKey)) {
+        form.reset();
+        return;
+      }
+      if (error instanceof ValidationError) {
+        this.applyFieldErrors(form, error.fieldErrors);
+      }
+      // Anything that isn't a submission failure is a bug: report it, don't show it
+      const expected = error instanceof SubmissionError;
+      if (!expected) {
+        MONITORING.capture(error, { context: `form_submission:${formType}` });
+      }
+      // Transient failures that couldn't be queued can be retried from the message
+      const actions = error.retryable
+        ? [{ label: I18N.t('notifications.retry'), onClick: () => this.handleFormSubmission(form) }]
+        : [];
+      this.showFormError(form, expected ? error.message : I18N.t('errors.generic'), { actions });
+      form.dispatchEvent(new CustomEvent('kbrj-form-error', { bubbles: true, detail: { formType, error } }));
+      this.bus.emit('form:failed', { formType, form, error });
+      this.trackEvent('form_submission_error', {
+        form_type: formType,
+        error_type: error.name,
+        status: error.status || 0,
+        error: error.message
+      });
     } finally {
       this.hideFormLoading(form);
     }
   }
 
-  // Enhanced form validation
-  validateForm(form) {
-    const inputs = form.querySelectorAll('input, textarea');
+  // Enhanced form validation: synchronous rules, cross-field checks, then async validators
+  async validateForm(form) {
+    const schema = this.getFormSchema(form);
+    const fields = this.getValidatableFields(form, schema);
+    const values = this.getFormValues(fields);
     let isValid = true;
 
-    inputs.forEach(input => {
-      if (!this.validateField(input)) {
+    fields.forEach(field => {
+      if (!this.validateField(field, { schema, values })) {
+        isValid = false;
+      }
+    });
+
+    Object.entries(VALIDATION.checkCrossField(schema, values)).forEach(([name, message]) => {
+      const field = form.querySelector(`[name="${CSS.escape(name)}"]`);
+      if (field && !field.classList.contains('error')) {
+        this.showFieldError(field, message);
         isValid = false;
       }
     });
 
-    return isValid;
+    if (!isValid) return false;
+
+    const asyncResults = await Promise.all(fields.map(field => this.runAsyncValidators(field, schema, values)));
+    return asyncResults.every(Boolean);
   }
 
-  // Enhanced field validation
-  validateField(field) {
-    const value = field.value.trim();
-    const fieldType = field.type;
-    const fieldName = field.name;
+  // Enhanced field validation (synchronous rules from the form's schema)
+  validateField(field, { schema = this.getFormSchema(field.form), values } = {}) {
+    const rules = schema.fields[field.name];
 
     // Clear previous errors
     this.clearFieldError(field);
 
-    // Required field validation
-    if (field.hasAttribute('required') && !value) {
-      this.showFieldError(field, 'This field is required');
-      return false;
-    }
+    if (!rules) return true;
 
-    // Type-specific validation
-    if (value) {
-      switch (fieldType) {
-        case 'email':
-          if (!SECURITY.patterns.email.test(value)) {
-            this.showFieldError(field, 'Please enter a valid email address');
-            return false;
-          }
-          break;
-        case 'tel':
-          if (!SECURITY.patterns.phone.test(value)) {
-            this.showFieldError(field, 'Please enter a valid phone number');
-            return false;
-          }
-          break;
-        case 'text':
-          if (fieldName === 'name' && !SECURITY.patterns.name.test(value)) {
-            this.showFieldError(field, 'Please enter a valid name (2-50 characters)');
-            return false;
-          }
-          break;
-      }
+    const fieldValues = values || this.getFormValues(this.getValidatableFields(field.form, schema));
+    const message = VALIDATION.check(rules, VALIDATION.valueOf(field), fieldValues);
+    if (message) {
+      this.showFieldError(field, message);
+      return false;
     }
 
     return true;
   }
 
+  // Validate a field including its async validators (used on blur)
+  async validateFieldAsync(field) {
+    const schema = this.getFormSchema(field.form);
+    const values = this.getFormValues(this.getValidatableFields(field.form, schema));
+    if (!this.validateField(field, { schema, values })) return false;
+    return this.runAsyncValidators(field, schema, values);
+  }
+
+  // Run a field's async validators, ignoring the result if the value changed meanwhile
+  async runAsyncValidators(field, schema, values) {
+    const rules = schema.fields[field.name];
+    if (!rules || !rules.async) return true;
+
+    const value = VALIDATION.valueOf(field);
+    const message = await VALIDATION.checkAsync(rules, value, values);
+    if (!message || VALIDATION.valueOf(field) !== value) return true;
+
+    this.clearFieldError(field);
+    this.showFieldError(field, message);
+    return false;
+  }
+
+  getFormSchema(form) {
+    return VALIDATION.schemaFor(form, this.getFormType(form));
+  }
+
+  getValidatableFields(form, schema) {
+    return Array.from(form.querySelectorAll('input, textarea, select'))
+      .filter(field => schema.fields[field.name]);
+  }
+
+  getFormValues(fields) {
+    const values = {};
+    fields.forEach(field => {
+      values[field.name] = VALIDATION.valueOf(field);
+    });
+    return values;
+  }
+
   // Enhanced error display
   showFieldError(field, message) {
     const errorDiv = document.createElement('div');
@@ -505,25 +4774,38 @@ class KBRJSolutions {
   // Enhanced success message display
   showFormSuccess(form, formType) {
     const messages = {
-      'early-access': 'Thank you! You\'re now on our early access list. We\'ll notify you as soon as we launch.',
-      'contact': 'Thank you! We\'ll get back to you within 24 hours.',
-      'default': 'Form submitted successfully!'
+      'early-access': 'forms.success.earlyAccess',
+      'contact': 'forms.success.contact',
+      'booking': 'scheduler.success',
+      'default': 'forms.success.default'
     };
 
-    const message = messages[formType] || messages.default;
-    this.showMessage(message, 'success');
+    const service = formType === 'lead' && SERVICES.get(form.dataset.service);
+    const message = I18N.t(service ? `leads.${service.key}.success` : messages[formType] || messages.default);
+
+    // A dialog's form is done once it succeeds; leave only the confirmation
+    if (form.closest('.dialog')) {
+      form.hidden = true;
+    }
+    this.showFormMessage(form, message, 'success');
   }
 
   // Enhanced error message display
-  showFormError(form, message) {
-    this.showMessage(message, 'error');
+  showFormError(form, message, options = {}) {
+    return this.showFormMessage(form, message, 'error', options);
+  }
+
+  // Form messages appear right after the form that sent them
+  showFormMessage(form, message, type, options = {}) {
+    return this.showMessage(message, type, { ...options, target: form });
   }
 
   // Show form loading state
   showFormLoading(form) {
     const submitButton = form.querySelector('button[type="submit"]');
     if (submitButton) {
-      submitButton.textContent = 'Sending...';
+      submitButton.dataset.label = submitButton.textContent;
+      submitButton.textContent = I18N.t('forms.sending');
       submitButton.disabled = true;
     }
   }
@@ -532,7 +4814,10 @@ class KBRJSolutions {
   hideFormLoading(form) {
     const submitButton = form.querySelector('button[type="submit"]');
     if (submitButton) {
-      submitButton.textContent = 'Send Message';
+      // Restore the button's own label, re-translated in case the locale changed
+      submitButton.textContent = submitButton.dataset.i18n
+        ? I18N.t(submitButton.dataset.i18n)
+        : submitButton.dataset.label || submitButton.textContent;
       submitButton.disabled = false;
     }
   }
@@ -541,54 +4826,52 @@ class KBRJSolutions {
   prepareSubmissionData(formData, formType) {
     const data = {};
     for (let [key, value] of formData.entries()) {
-      data[key] = value;
+      // Repeated names (checkbox groups) become arrays
+      data[key] = key in data ? [].concat(data[key], value) : value;
     }
     data.formType = formType;
     data.timestamp = new Date().toISOString();
     return data;
   }
 
-  // Submit form (simulate API call)
-  async submitForm(data, formType) {
-    // Simulate API call delay
-    await new Promise(resolve => setTimeout(resolve, CONFIG.FORM_TIMEOUT));
+  // Submit form to the endpoint for its type; `form` is the visible form, if any, for progress labels
+  async submitForm(data, formType, { idempotencyKey, maxAttempts, form = null } = {}) {
+    const endpoint = this.getFormEndpoint(formType);
+    if (!endpoint) {
+      throw new SubmissionError(`No endpoint configured for form type "${formType}"`);
+    }
 
-    // For now, just log the data
-    console.log('Form submission:', { formType, data });
+    // Proofs are solved per send, so queued replays don't carry an expired challenge.
+    // Solving can take a few seconds on slow devices, so the button says so meanwhile.
+    let payload = data;
+    if (CONFIG.SPAM.PROOF_OF_WORK) {
+      const submitButton = form && form.querySelector('button[type="submit"]');
+      if (submitButton) submitButton.textContent = I18N.t('forms.verifying');
+      payload = { ...data, ...(await BOT_GUARD.prove()) };
+      if (submitButton) submitButton.textContent = I18N.t('forms.sending');
+    }
 
-    // In production, this would make an actual API call
-    return { success: true, message: 'Form submitted successfully' };
+    // Queued replays carry the token they were saved with; CSRF.send swaps in the current one
+    const headers = idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {};
+    return CSRF.send(endpoint, payload, { headers, maxAttempts });
   }
 
-  // Enhanced message display system
-  showMessage(message, type, duration = CONFIG.MESSAGE_TIMEOUT) {
-    // Remove existing messages
-    this.removeExistingMessages();
-
-    const messageDiv = document.createElement('div');
-    messageDiv.className = `message ${type}-message`;
-    messageDiv.textContent = SECURITY.sanitizeInput(message);
-    messageDiv.setAttribute('role', 'alert');
-    messageDiv.setAttribute('aria-live', 'polite');
-
-    // Find appropriate container
-    const container = this.getMessageContainer(type);
-    container.appendChild(messageDiv);
-
-    // Animate in
-    requestAnimationFrame(() => {
-      messageDiv.classList.add('show');
+  // Show server-side validation errors next to the matching fields
+  applyFieldErrors(form, fieldErrors) {
+    Object.entries(fieldErrors).forEach(([name, message]) => {
+      const field = form.querySelector(`[name="${CSS.escape(name)}"]`);
+      if (field) {
+        this.clearFieldError(field);
+        this.showFieldError(field, message);
+      }
     });
+  }
 
-    // Auto-hide with accessibility considerations
-    if (duration > 0) {
-      setTimeout(() => {
-        this.hideMessage(messageDiv);
-      }, duration);
-    }
-
-    // Track message display
-    this.trackEvent('message_display', { type, message: message.substring(0, 50) });
+  // Show a toast, or an inline message when options.target is given (see NotificationCenter.notify)
+  showMessage(message, type, options = {}) {
+    const notification = this.notifications.notify({ message, type, ...options });
+    this.trackEvent('message_display', { type });
+    return notification;
   }
 
   // Enhanced loading animations
@@ -597,24 +4880,69 @@ class KBRJSolutions {
     const sections = document.querySelectorAll('section');
 
     sections.forEach((section, index) => {
-      const delay = index * CONFIG.ANIMATION_DELAY;
-      section.style.transitionDelay = `${delay}ms`;
+      this.scope.preserve(section, 'style');
+      section.style.transitionDelay = `${MOTION.delay(index)}ms`;
 
       // Add business-specific loading classes
       if (section.classList.contains('services')) {
-        section.classList.add('business-loading');
+        this.scope.addClass(section, 'business-loading');
       }
     });
 
     // Body loading states
     document.body.classList.add('loading');
 
-    window.addEventListener('load', () => {
+    const finishLoading = () => {
       document.body.classList.remove('loading');
       document.body.classList.add('loaded');
 
-      // Track page load performance
-      this.trackPageLoadPerformance();
+      // loadEventEnd is only set once the load handlers have finished; report it once per page view
+      if (!this.pageLoadTracked) {
+        this.scope.timeout(() => {
+          this.pageLoadTracked = true;
+          this.trackPageLoadPerformance();
+        }, 0);
+      }
+    };
+
+    // init() waits for the load event, so it has normally fired already
+    if (document.readyState === 'complete') {
+      finishLoading();
+    } else {
+      this.scope.listen(window, 'load', finishLoading, { once: true });
+    }
+  }
+
+  // Collect Core Web Vitals for sampled page views
+  initWebVitals() {
+    if (!PERFORMANCE.isSampled()) return;
+
+    PERFORMANCE.startVitals();
+
+    // Hidden is the last reliable moment on mobile; pagehide covers the rest
+    this.scope.listen(document, 'visibilitychange', this.reportWebVitals);
+    this.scope.listen(window, 'pagehide', this.reportWebVitals);
+  }
+
+  // Report final values once per page view
+  reportWebVitals(event) {
+    if (event.type === 'visibilitychange' && document.visibilityState !== 'hidden') return;
+
+    const vitals = PERFORMANCE.takeVitals();
+    if (!vitals) return;
+
+    document.removeEventListener('visibilitychange', this.reportWebVitals);
+    window.removeEventListener('pagehide', this.reportWebVitals);
+
+    vitals.forEach(({ name, value, rating, attribution }) => {
+      // "value" is a redacted key, so the number travels as metric_value
+      this.trackEvent('web_vital', {
+        metric: name,
+        metric_value: value,
+        rating,
+        page: location.pathname,
+        ...attribution
+      });
     });
   }
 
@@ -624,8 +4952,9 @@ class KBRJSolutions {
       const perfData = performance.getEntriesByType('navigation')[0];
       if (perfData) {
         this.trackEvent('page_load_performance', {
-          loadTime: Math.round(perfData.loadEventEnd - perfData.loadEventStart),
-          domContentLoaded: Math.round(perfData.domContentLoadedEventEnd - perfData.domContentLoadedEventStart),
+          // Navigation timings are relative to the start of the navigation
+          loadTime: Math.round(perfData.loadEventEnd - perfData.startTime),
+          domContentLoaded: Math.round(perfData.domContentLoadedEventEnd - perfData.startTime),
           firstPaint: performance.getEntriesByName('first-paint')[0]?.startTime || 0
         });
       }
@@ -643,8 +4972,7 @@ class KBRJSolutions {
     // ARIA enhancements
     this.enhanceARIA();
 
-    // Focus management
-    this.initFocusManagement();
+    // Focus is only ever trapped inside an open Dialog, never on the page itself
   }
 
   // Add skip to content link
@@ -652,8 +4980,9 @@ class KBRJSolutions {
     const skipLink = document.createElement('a');
     skipLink.href = '#main';
     skipLink.className = 'skip-link';
-    skipLink.textContent = 'Skip to main content';
-    document.body.insertBefore(skipLink, document.body.firstChild);
+    skipLink.dataset.i18n = 'a11y.skipToContent';
+    skipLink.textContent = I18N.t('a11y.skipToContent');
+    document.body.insertBefore(this.scope.adopt(skipLink), document.body.firstChild);
   }
 
   // Initialize keyboard navigation
@@ -664,6 +4993,8 @@ class KBRJSolutions {
       card.setAttribute('tabindex', '0');
       card.setAttribute('role', 'button');
       card.addEventListener('keydown', (e) => {
+        // Leave keys on the card's own buttons and links alone
+        if (e.target !== card) return;
         if (e.key === 'Enter' || e.key === ' ') {
           e.preventDefault();
           card.click();
@@ -678,39 +5009,20 @@ class KBRJSolutions {
     const buttons = document.querySelectorAll('button');
     buttons.forEach(button => {
       if (!button.getAttribute('aria-label')) {
-        button.setAttribute('aria-label', button.textContent.trim());
+        this.scope.setAttribute(button, 'aria-label', button.textContent.trim());
+        // Let I18N.translate keep this label in step with the text
+        this.scope.setAttribute(button, 'data-i18n-label', 'text');
       }
     });
 
     // Add ARIA landmarks
     const main = document.querySelector('main');
     if (main) {
-      main.setAttribute('role', 'main');
-      main.id = 'main';
+      this.scope.setAttribute(main, 'role', 'main');
+      this.scope.setAttribute(main, 'id', 'main');
     }
   }
 
-  // Initialize focus management
-  initFocusManagement() {
-    // Trap focus in modals when they're open
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Tab') {
-        // Basic focus management - can be enhanced for modals
-        const focusableElements = document.querySelectorAll('a, button, input, textarea, select, [tabindex]:not([tabindex="-1"])');
-        const firstElement = focusableElements[0];
-        const lastElement = focusableElements[focusableElements.length - 1];
-
-        if (e.shiftKey && document.activeElement === firstElement) {
-          e.preventDefault();
-          lastElement.focus();
-        } else if (!e.shiftKey && document.activeElement === lastElement) {
-          e.preventDefault();
-          firstElement.focus();
-        }
-      }
-    });
-  }
-
   // Business-specific analytics tracking
   trackUserEngagement() {
     // Track scroll depth
@@ -726,7 +5038,7 @@ class KBRJSolutions {
   // Track scroll depth
   trackScrollDepth() {
     let maxScroll = 0;
-    window.addEventListener('scroll', () => {
+    this.scope.listen(window, 'scroll', () => {
       const scrollPercent = Math.round((window.scrollY / (document.documentElement.scrollHeight - window.innerHeight)) * 100);
       if (scrollPercent > maxScroll) {
         maxScroll = scrollPercent;
@@ -740,7 +5052,7 @@ class KBRJSolutions {
   // Track time on page
   trackTimeOnPage() {
     const startTime = Date.now();
-    window.addEventListener('beforeunload', () => {
+    this.scope.listen(window, 'beforeunload', () => {
       const timeOnPage = Math.round((Date.now() - startTime) / 1000);
       this.trackEvent('time_on_page', { seconds: timeOnPage });
     });
@@ -749,11 +5061,13 @@ class KBRJSolutions {
   // Track user interactions
   trackUserInteractions() {
     // Track clicks on interactive elements
-    document.addEventListener('click', (e) => {
-      if (e.target.tagName === 'BUTTON' || e.target.tagName === 'A') {
+    this.scope.listen(document, 'click', (e) => {
+      const element = e.target.closest('button, a');
+      if (element) {
+        // Identify the element by a stable label rather than its text
         this.trackEvent('element_click', {
-          element: e.target.tagName.toLowerCase(),
-          text: e.target.textContent.substring(0, 50)
+          element: element.tagName.toLowerCase(),
+          label: element.dataset.track || element.id || element.getAttribute('href') || element.className || null
         });
       }
     });
@@ -776,7 +5090,7 @@ class KBRJSolutions {
     // Track when users view service details
     const serviceCards = document.querySelectorAll('.service-card');
     serviceCards.forEach(card => {
-      const observer = new IntersectionObserver((entries) => {
+      const observer = this.scope.observe(new IntersectionObserver((entries) => {
         entries.forEach(entry => {
           if (entry.isIntersecting) {
             const serviceType = this.getServiceType(card);
@@ -784,7 +5098,7 @@ class KBRJSolutions {
             observer.unobserve(entry.target);
           }
         });
-      });
+      }));
       observer.observe(card);
     });
   }
@@ -794,16 +5108,16 @@ class KBRJSolutions {
     // Track early access signups
     const earlyAccessForm = document.querySelector('.email-form');
     if (earlyAccessForm) {
-      earlyAccessForm.addEventListener('submit', () => {
-        this.trackEvent('conversion_funnel', { stage: 'early_access_signup' });
+      this.scope.listen(earlyAccessForm, 'submit', () => {
+        this.trackEvent('conversion_funnel', { stage: 'early_access_signup', experiments: EXPERIMENTS.summary() });
       });
     }
 
     // Track contact form submissions
     const contactForm = document.querySelector('.contact-form');
     if (contactForm) {
-      contactForm.addEventListener('submit', () => {
-        this.trackEvent('conversion_funnel', { stage: 'contact_form_submission' });
+      this.scope.listen(contactForm, 'submit', () => {
+        this.trackEvent('conversion_funnel', { stage: 'contact_form_submission', experiments: EXPERIMENTS.summary() });
       });
     }
   }
@@ -815,14 +5129,14 @@ class KBRJSolutions {
     businessSections.forEach(sectionId => {
       const section = document.getElementById(sectionId);
       if (section) {
-        const observer = new IntersectionObserver((entries) => {
+        const observer = this.scope.observe(new IntersectionObserver((entries) => {
           entries.forEach(entry => {
             if (entry.isIntersecting) {
               this.trackEvent('business_goal', { goal: `view_${sectionId}` });
               observer.unobserve(entry.target);
             }
           });
-        });
+        }));
         observer.observe(section);
       }
     });
@@ -831,7 +5145,7 @@ class KBRJSolutions {
   // Utility methods
   debounce(func, wait) {
     let timeout;
-    return function executedFunction(...args) {
+    const executedFunction = function (...args) {
       const later = () => {
         clearTimeout(timeout);
         func(...args);
@@ -839,29 +5153,34 @@ class KBRJSolutions {
       clearTimeout(timeout);
       timeout = setTimeout(later, wait);
     };
+    // Drop a pending call, e.g. on destroy
+    executedFunction.cancel = () => clearTimeout(timeout);
+    return executedFunction;
   }
 
   // Handle scroll events
   handleScroll() {
+    // Between observer callbacks, scrolling can still change which section is most visible
+    this.requestScrollSpyUpdate();
+
     // Update header on scroll
+    // Colors come from the theme tokens for header.scrolled
     const header = document.querySelector('header');
     if (header) {
       const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
-
-      if (scrollTop > 100) {
-        header.style.background = 'rgba(255, 255, 255, 0.98)';
-        header.style.boxShadow = '0 2px 30px rgba(0, 0, 0, 0.15)';
-      } else {
-        header.style.background = 'rgba(255, 255, 255, 0.95)';
-        header.style.boxShadow = '0 2px 20px rgba(0, 0, 0, 0.1)';
-      }
+      header.classList.toggle('scrolled', scrollTop > 100);
     }
   }
 
   // Handle resize events
   handleResize() {
     // Handle responsive behavior
-    const isMobile = window.innerWidth <= 768;
+    const isMobile = window.innerWidth <= CONFIG.MOBILE_BREAKPOINT;
+
+    // The off-canvas menu only exists on small screens
+    if (!isMobile && this.mobileNav) {
+      this.mobileNav.close('resize');
+    }
 
     if (isMobile) {
       document.body.classList.add('mobile');
@@ -870,54 +5189,53 @@ class KBRJSolutions {
     }
   }
 
-  smoothScrollTo(targetPosition) {
+  smoothScrollTo(targetPosition, behavior = 'smooth') {
     window.scrollTo({
       top: targetPosition,
-      behavior: 'smooth'
+      behavior: MOTION.scrollBehavior(behavior)
     });
   }
 
   updateActiveNavigation(activeLink) {
     const navLinks = document.querySelectorAll('nav a');
-    navLinks.forEach(link => link.classList.remove('active'));
-    activeLink.classList.add('active');
+    navLinks.forEach(link => {
+      if (link === activeLink) return;
+      link.classList.remove('active');
+      link.removeAttribute('aria-current');
+    });
+    if (activeLink) {
+      activeLink.classList.add('active');
+      activeLink.setAttribute('aria-current', 'page');
+    }
   }
 
   getFormType(form) {
     if (form.classList.contains('email-form')) return 'early-access';
+    if (form.classList.contains('lead-form')) return 'lead';
+    if (form.classList.contains('booking-form')) return 'booking';
     if (form.closest('#contact')) return 'contact';
     return 'default';
   }
 
-  getServiceType(card) {
-    if (card.classList.contains('pet-insurance')) return 'pet-insurance';
-    if (card.classList.contains('healthcare')) return 'healthcare';
-    if (card.classList.contains('business-automation')) return 'business-automation';
-    return 'unknown';
-  }
-
-  getMessageContainer(type) {
-    switch (type) {
-      case 'success':
-      case 'error':
-        return document.querySelector('#contact') || document.body;
+  getFormEndpoint(formType) {
+    switch (formType) {
+      case 'early-access':
+        return CONFIG.API_ENDPOINTS.EARLY_ACCESS;
+      case 'contact':
+        return CONFIG.API_ENDPOINTS.CONTACT;
+      case 'lead':
+        return CONFIG.API_ENDPOINTS.LEADS;
+      case 'booking':
+        return CONFIG.API_ENDPOINTS.BOOKINGS;
       default:
-        return document.body;
+        return null;
     }
   }
 
-  removeExistingMessages() {
-    const existingMessages = document.querySelectorAll('.message');
-    existingMessages.forEach(msg => msg.remove());
-  }
-
-  hideMessage(messageDiv) {
-    messageDiv.classList.remove('show');
-    setTimeout(() => {
-      if (messageDiv.parentNode) {
-        messageDiv.remove();
-      }
-    }, 300);
+  // Service id from the card's catalog entry
+  getServiceType(card) {
+    const service = SERVICES.get(card.dataset.service);
+    return service ? service.id : 'unknown';
   }
 
   // Error handling
@@ -929,90 +5247,103 @@ class KBRJSolutions {
       message: error.message,
       stack: error.stack?.substring(0, 200)
     });
+    MONITORING.capture(error, { context: 'init' });
 
     // Show user-friendly error message
-    this.showMessage('Something went wrong. Please try again or contact support.', 'error');
+    this.showMessage(I18N.t('errors.generic'), 'error');
   }
 
-  // Cleanup method
+  // Undo everything init() set up, so the page is back to its markup and init() can run again
   destroy() {
-    // Clean up observers
-    this.observers.forEach(observer => observer.disconnect());
-    this.observers.clear();
-
-    // Remove event listeners
-    window.removeEventListener('scroll', this.handleScroll);
-    window.removeEventListener('resize', this.handleResize);
-
+    if (!this.scope) return;
+
+    // Announce the teardown while plugins are still subscribed, then stop them while the
+    // features they build on still exist
+    this.bus.emit('app:destroy');
+    this.plugins.destroy();
+
+    // Open dialogs close through their own onClose, which also ends their scopes
+    [...Dialog.stack].reverse().forEach(dialog => dialog.close('destroy'));
+
+    // Listeners, observers, timers, injected nodes and changed attributes
+    this.scope.close();
+    this.scope = null;
+    this.handleResize.cancel();
+    this.saveScrollPosition.cancel();
+    cancelAnimationFrame(this.scrollSpyFrame);
+    this.scrollSpyFrame = null;
+    this.intersectingSections.clear();
+    this.viewedSections.clear();
+    this.notifications.destroy();
+
+    // Send anything still queued and stop the analytics pipeline; consent restarts it on the next init
+    ANALYTICS.flush();
+    ANALYTICS.stop();
+    this.analyticsInitialized = false;
+    MONITORING.stop();
+
+    this.currentRoute = null;
+    this.selectedPlan = null;
+    this.bus.clear();
     this.isInitialized = false;
   }
 
   // Placeholder methods for business features (to be implemented)
   initHeaderScrollEffects(header) {
     // Add scroll event listener for header effects
-    window.addEventListener('scroll', this.handleScroll);
+    this.scope.listen(window, 'scroll', this.handleScroll);
+    if (header) {
+      this.scope.preserve(header, 'class');
+    }
   }
 
   triggerBusinessAnimations(section) {
     // Add business-specific animations when sections come into view
     if (section.classList.contains('services')) {
       // Animate service cards
-      const serviceCards = section.querySelectorAll('.service-card');
-      serviceCards.forEach((card, index) => {
-        setTimeout(() => {
-          card.style.opacity = '1';
-          card.style.transform = 'translateY(0)';
-        }, index * 200);
-      });
+      MOTION.reveal(section.querySelectorAll('.service-card'));
     }
   }
 
   // Track events for analytics
   trackEvent(eventName, data = {}) {
-    // In production, this would send data to your analytics service
-    console.log('Event tracked:', eventName, data);
+    // Strip personal data before the event is stored or sent anywhere
+    const safeData = PRIVACY.redact(data);
+    console.log('Event tracked:', eventName, safeData);
 
-    // You can integrate with Google Analytics, Mixpanel, etc. here
-    if (window.gtag) {
-      window.gtag('event', eventName, data);
-    }
+    const event = {
+      event: eventName,
+      data: safeData,
+      timestamp: new Date().toISOString(),
+      // Query strings and hashes can carry personal data, so leave them out
+      url: window.location.origin + window.location.pathname
+    };
 
-    // Store events locally for debugging
-    if (!this.eventHistory) {
-      this.eventHistory = [];
+    // Keep a bounded local history for debugging
+    this.eventHistory.push(event);
+
+    // Queue for the analytics pipeline (batched, flushed with sendBeacon on exit);
+    // bus subscribers are analytics consumers too, so they get nothing without consent
+    if (CONSENT.allows('analytics')) {
+      ANALYTICS.track(event);
+      this.bus.emit('event:tracked', { event });
     }
-    this.eventHistory.push({
-      event: eventName,
-      data,
-      timestamp: new Date().toISOString()
-    });
   }
 }
 
 // Initialize the application
 const kbrjApp = new KBRJSolutions();
 
+// Experiment variants go in now, while the page is still hidden, rather than after init()'s awaits
+EXPERIMENTS.init();
+
 // Start the application when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
   kbrjApp.init();
 });
 
-// Add resize event listener
-window.addEventListener('resize', kbrjApp.handleResize);
-
-// Handle page visibility changes for business analytics
-document.addEventListener('visibilitychange', () => {
-  if (document.hidden) {
-    kbrjApp.trackEvent('page_hidden');
-  } else {
-    kbrjApp.trackEvent('page_visible');
-  }
-});
-
-// Handle beforeunload for business metrics
-window.addEventListener('beforeunload', () => {
-  kbrjApp.trackEvent('page_exit');
-});
-
 // Export for external use
 window.KBRJSolutions = kbrjApp;
+window.KBRJDialog = Dialog;
+window.KBRJMonitoring = MONITORING;
+window.KBRJExperiments = EXPERIMENTS;
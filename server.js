@@ -0,0 +1,809 @@
+/**
+ * KBRJ Solutions - Local reference backend
+ * Serves the static site and implements the form API used by script.js
+ * Run with: node server.js (or node --env-file=.env server.js)
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Server configuration
+const CONFIG = {
+  PORT: parseInt(process.env.PORT, 10) || 8080,
+  ROOT: __dirname,
+  DATA_FILE: path.resolve(__dirname, process.env.DATA_FILE || 'data/db.json'),
+  AVAILABILITY_FILE: path.resolve(__dirname, process.env.AVAILABILITY_FILE || 'schedule/availability.json'),
+  // Also served to the browser, which renders the service cards from it
+  SERVICE_CATALOG_FILE: path.resolve(__dirname, process.env.SERVICE_CATALOG_FILE || 'catalog/services.json'),
+  MAX_BODY_BYTES: 16 * 1024,
+  MAX_MESSAGE_LENGTH: 5000,
+  MAX_FIELD_LENGTH: 1000,
+  IDEMPOTENCY_TTL: 7 * 24 * 60 * 60 * 1000,
+  // Without a fixed secret, tokens stop verifying whenever the server restarts
+  CSRF_SECRET: process.env.CSRF_SECRET || crypto.randomBytes(32).toString('hex'),
+  CSRF_COOKIE: 'kbrj_csrf',
+  CSRF_TTL: 2 * 60 * 60 * 1000,
+  // Must match CONFIG.SPAM.HONEYPOT_FIELD in script.js
+  HONEYPOT_FIELD: 'website',
+  // Leading zero bits required in proof-of-work hashes; 0 turns the challenge off
+  POW_DIFFICULTY: parseInt(process.env.POW_DIFFICULTY, 10) || 0,
+  CHALLENGE_TTL: 5 * 60 * 1000
+};
+
+// Files that may be served as static assets
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon',
+  '.ics': 'text/calendar; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8'
+};
+
+// Paths that must never be served, even if the extension is allowed
+const PRIVATE_PATHS = ['server.js', 'data', 'schedule', 'node_modules', 'requests.jsonl'];
+
+// Validation rules - keep in sync with SECURITY.patterns in script.js
+const PATTERNS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  phone: /^[\+]?[1-9][\d]{0,15}$/,
+  name: /^[\p{L}\p{M}\s'.-]{2,50}$/u,
+  csrf: /^\d{13}\.[a-f0-9]{64}$/,
+  csrfSession: /^[a-f0-9]{32}$/,
+  challenge: /^\d{13}\.[a-f0-9]{32}\.[a-f0-9]{64}$/,
+  nonce: /^\d{1,12}$/,
+  idempotencyKey: /^[A-Za-z0-9-]{16,64}$/
+};
+
+
+// HTTP error carrying a status and optional field errors
+class HttpError extends Error {
+  constructor(status, code, message, fields) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.fields = fields;
+  }
+}
+
+// File-backed JSON store with serialized writes
+const store = {
+  data: null,
+  queue: Promise.resolve(),
+
+  async load() {
+    if (this.data) return this.data;
+
+    try {
+      this.data = JSON.parse(await fs.promises.readFile(CONFIG.DATA_FILE, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.data = {};
+    }
+
+    this.data.earlyAccess = this.data.earlyAccess || [];
+    this.data.contacts = this.data.contacts || [];
+    this.data.leads = this.data.leads || [];
+    this.data.bookings = this.data.bookings || [];
+    this.data.idempotency = this.data.idempotency || {};
+    return this.data;
+  },
+
+  // Run a mutation and persist it; mutations never interleave
+  update(mutate) {
+    const run = this.queue.then(async () => {
+      const data = await this.load();
+      const result = mutate(data);
+      await this.persist(data);
+      return result;
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  },
+
+  // Write to a temp file and rename so a crash never leaves half a file
+  async persist(data) {
+    await fs.promises.mkdir(path.dirname(CONFIG.DATA_FILE), { recursive: true });
+    const tmpFile = `${CONFIG.DATA_FILE}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpFile, JSON.stringify(data, null, 2));
+    await fs.promises.rename(tmpFile, CONFIG.DATA_FILE);
+  }
+};
+
+// Lead validation rules per service, derived from the lead fields in the service catalog.
+// Email and name are checked separately; an options list restricts a field, otherwise it is free text
+// up to the field's maxLength (never more than MAX_FIELD_LENGTH).
+const catalog = {
+  leadSpecs: null,
+  planIds: null,
+
+  async load() {
+    if (!this.leadSpecs) {
+      const { services = [] } = JSON.parse(await fs.promises.readFile(CONFIG.SERVICE_CATALOG_FILE, 'utf8'));
+      this.leadSpecs = {};
+      this.planIds = {};
+      services.filter(service => Array.isArray(service.plans)).forEach(service => {
+        this.planIds[service.id] = service.plans.map(plan => plan.id);
+      });
+      services.filter(service => service.lead).forEach(service => {
+        const leadFields = service.lead.fields.filter(spec => spec.name !== 'email');
+        this.leadSpecs[service.id] = {
+          required: leadFields.filter(spec => spec.required).map(spec => spec.name),
+          fields: Object.fromEntries(leadFields
+            .filter(spec => spec.name !== 'name')
+            .map(spec => [spec.name, {
+              options: spec.options || null,
+              maxLength: Math.min(spec.maxLength || CONFIG.MAX_FIELD_LENGTH, CONFIG.MAX_FIELD_LENGTH)
+            }]))
+        };
+      });
+    }
+    return this.leadSpecs;
+  },
+
+  // Tier ids a visitor can pick, across every service with plans
+  async plans() {
+    await this.load();
+    return Object.values(this.planIds).flat();
+  }
+};
+
+// Strategy call slots generated from the weekly hours in schedule/availability.json
+const schedule = {
+  WEEKDAYS: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
+  availability: null,
+
+  async load() {
+    if (!this.availability) {
+      this.availability = JSON.parse(await fs.promises.readFile(CONFIG.AVAILABILITY_FILE, 'utf8'));
+    }
+    return this.availability;
+  },
+
+  // Offset of a time zone from UTC at a given instant, in minutes
+  offsetMinutes(timeZone, date) {
+    const name = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+      .formatToParts(date)
+      .find(part => part.type === 'timeZoneName').value;
+    const match = name.match(/GMT([+-])(\d{2}):(\d{2})/);
+    if (!match) return 0;
+    return (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3]));
+  },
+
+  // The instant a wall-clock time occurs in a time zone; re-checks the offset across DST changes
+  zonedTime(year, month, day, minutes, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+    const guess = wallClock - this.offsetMinutes(timeZone, new Date(wallClock)) * 60000;
+    return new Date(wallClock - this.offsetMinutes(timeZone, new Date(guess)) * 60000);
+  },
+
+  // Open slots from now on, minus the ones already booked
+  slots(availability, bookings, now = new Date()) {
+    const { timeZone, slotMinutes, daysAhead, minNoticeHours, weeklyHours } = availability;
+    const earliest = now.getTime() + minNoticeHours * 60 * 60 * 1000;
+    const booked = new Set(bookings.map(booking => booking.start));
+    const [year, month, day] = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+      .format(now)
+      .split('-')
+      .map(Number);
+    const toMinutes = time => {
+      const [hours, minutes] = time.split(':').map(Number);
+      return hours * 60 + minutes;
+    };
+    const slots = [];
+
+    for (let offset = 0; offset <= daysAhead; offset++) {
+      const date = new Date(Date.UTC(year, month - 1, day + offset));
+      const ranges = weeklyHours[this.WEEKDAYS[date.getUTCDay()]] || [];
+
+      ranges.forEach(range => {
+        const [from, to] = range.split('-').map(toMinutes);
+        for (let minutes = from; minutes + slotMinutes <= to; minutes += slotMinutes) {
+          const start = this.zonedTime(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), minutes, timeZone);
+          if (start.getTime() < earliest || booked.has(start.toISOString())) continue;
+          slots.push({
+            start: start.toISOString(),
+            end: new Date(start.getTime() + slotMinutes * 60000).toISOString()
+          });
+        }
+      });
+    }
+
+    return slots;
+  }
+};
+
+// Field validators
+const validate = {
+  email(value, fields) {
+    if (!value) {
+      fields.email = 'This field is required';
+    } else if (value.length > 254 || !PATTERNS.email.test(value)) {
+      fields.email = 'Please enter a valid email address';
+    }
+  },
+
+  name(value, fields) {
+    if (!value) {
+      fields.name = 'This field is required';
+    } else if (!PATTERNS.name.test(value)) {
+      fields.name = 'Please enter a valid name (2-50 characters)';
+    }
+  },
+
+  message(value, fields) {
+    if (!value) {
+      fields.message = 'This field is required';
+    } else if (value.length > CONFIG.MAX_MESSAGE_LENGTH) {
+      fields.message = `Please keep your message under ${CONFIG.MAX_MESSAGE_LENGTH} characters`;
+    }
+  },
+
+  phone(value, fields) {
+    if (value && !PATTERNS.phone.test(value)) {
+      fields.phone = 'Please enter a valid phone number';
+    }
+  },
+
+  // A lead's service-specific answers; returns the cleaned values
+  leadDetails(spec, body, fields) {
+    const details = {};
+
+    Object.entries(spec.fields).forEach(([name, { options, maxLength }]) => {
+      const raw = body[name];
+      const values = (Array.isArray(raw) ? raw : [raw])
+        .filter(value => typeof value === 'string' && value.trim())
+        .map(value => value.trim());
+
+      if (values.length === 0) {
+        if (spec.required.includes(name)) fields[name] = 'This field is required';
+        return;
+      }
+
+      if (options && values.some(value => !options.includes(value))) {
+        fields[name] = 'Please choose one of the listed options';
+      } else if (values.some(value => value.length > maxLength)) {
+        fields[name] = `Please keep this under ${maxLength} characters`;
+      } else {
+        details[name] = Array.isArray(raw) ? values : values[0];
+      }
+    });
+
+    return details;
+  }
+};
+
+// Read a trimmed string field from a request body
+function field(body, name) {
+  return typeof body[name] === 'string' ? body[name].trim() : '';
+}
+
+// Throw a 422 if any field failed validation
+function assertValid(fields) {
+  if (Object.keys(fields).length > 0) {
+    throw new HttpError(422, 'validation_failed', 'Please correct the highlighted fields.', fields);
+  }
+}
+
+// CSRF tokens are "<expiry>.<HMAC of session id and expiry>"; the session id lives in an HttpOnly cookie,
+// so a token is only valid from the browser it was issued to
+const csrf = {
+  sign(session, expires) {
+    return crypto.createHmac('sha256', CONFIG.CSRF_SECRET).update(`${session}.${expires}`).digest('hex');
+  },
+
+  // Session id from the request's cookie, if it has a well-formed one
+  session(req) {
+    const cookie = (req.headers.cookie || '')
+      .split(';')
+      .map(part => part.trim().split('='))
+      .find(([name]) => name === CONFIG.CSRF_COOKIE);
+    return cookie && PATTERNS.csrfSession.test(cookie[1]) ? cookie[1] : null;
+  },
+
+  issue(session) {
+    const expiresAt = Date.now() + CONFIG.CSRF_TTL;
+    return { token: `${expiresAt}.${this.sign(session, expiresAt)}`, expiresAt };
+  },
+
+  verify(req, token) {
+    const session = this.session(req);
+    if (!session || !PATTERNS.csrf.test(token)) return false;
+
+    const [expires, signature] = token.split('.');
+    if (Number(expires) < Date.now()) return false;
+    return crypto.timingSafeEqual(Buffer.from(this.sign(session, expires)), Buffer.from(signature));
+  },
+
+  cookie(req, session) {
+    const secure = req.socket.encrypted || req.headers['x-forwarded-proto'] === 'https';
+    return `${CONFIG.CSRF_COOKIE}=${session}; Path=/; HttpOnly; SameSite=Strict${secure ? '; Secure' : ''}`;
+  }
+};
+
+// Honeypot and proof-of-work checks for the public forms
+const bots = {
+  // Challenge -> the Idempotency-Key it was first used with; retries of one submission may reuse it
+  used: new Map(),
+
+  sign(value) {
+    return crypto.createHmac('sha256', CONFIG.CSRF_SECRET).update(`challenge.${value}`).digest('hex');
+  },
+
+  issueChallenge() {
+    const value = `${Date.now() + CONFIG.CHALLENGE_TTL}.${crypto.randomBytes(16).toString('hex')}`;
+    return `${value}.${this.sign(value)}`;
+  },
+
+  leadingZeroBits(buffer) {
+    let bits = 0;
+    for (const byte of buffer) {
+      if (byte === 0) {
+        bits += 8;
+        continue;
+      }
+      bits += Math.clz32(byte) - 24;
+      break;
+    }
+    return bits;
+  },
+
+  verifyProof(req, body) {
+    const challenge = field(body, '_challenge');
+    const nonce = field(body, '_nonce');
+    if (!PATTERNS.challenge.test(challenge) || !PATTERNS.nonce.test(nonce)) return false;
+
+    const [expires, random, signature] = challenge.split('.');
+    if (Number(expires) < Date.now()) return false;
+    if (!crypto.timingSafeEqual(Buffer.from(this.sign(`${expires}.${random}`)), Buffer.from(signature))) return false;
+
+    const hash = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+    if (this.leadingZeroBits(hash) < CONFIG.POW_DIFFICULTY) return false;
+
+    const key = req.headers['idempotency-key'] || challenge;
+    if (this.used.has(challenge) && this.used.get(challenge).key !== key) return false;
+
+    this.prune();
+    this.used.set(challenge, { key, expires: Number(expires) });
+    return true;
+  },
+
+  prune() {
+    const now = Date.now();
+    this.used.forEach((entry, challenge) => {
+      if (entry.expires < now) this.used.delete(challenge);
+    });
+  },
+
+  // A response to send instead of handling the request, or null if it looks human
+  screen(req, body) {
+    // Honeypot hits get a normal-looking success so bots don't learn they were caught
+    if (field(body, CONFIG.HONEYPOT_FIELD)) {
+      return { status: 200, body: { success: true } };
+    }
+
+    if (CONFIG.POW_DIFFICULTY > 0 && !this.verifyProof(req, body)) {
+      throw new HttpError(400, 'challenge_failed', 'We couldn\'t verify this submission. Please try again.');
+    }
+    return null;
+  }
+};
+
+// Check the same-origin header and the CSRF token, sent as X-CSRF-Token and/or the _csrf field
+function checkCSRF(req, body) {
+  const origin = req.headers.origin;
+  if (origin && origin !== `http://${req.headers.host}` && origin !== `https://${req.headers.host}`) {
+    throw new HttpError(403, 'csrf_invalid', 'Cross-origin submissions are not allowed.');
+  }
+
+  const header = req.headers['x-csrf-token'] || '';
+  const token = field(body, '_csrf');
+  if ((header && token && header !== token) || !csrf.verify(req, header || token)) {
+    throw new HttpError(403, 'csrf_invalid', 'Your session has expired. Please reload the page and try again.');
+  }
+}
+
+// API route handlers
+const routes = {
+  // Proof-of-work challenge for the next form submission
+  async 'GET /api/challenge'() {
+    return {
+      status: 200,
+      body: { success: true, challenge: bots.issueChallenge(), difficulty: CONFIG.POW_DIFFICULTY }
+    };
+  },
+
+  // Issue a CSRF token, starting a session cookie if the browser has none
+  async 'GET /api/csrf'(req) {
+    const session = csrf.session(req) || crypto.randomBytes(16).toString('hex');
+    return {
+      status: 200,
+      body: { success: true, ...csrf.issue(session) },
+      headers: { 'Set-Cookie': csrf.cookie(req, session) }
+    };
+  },
+
+  async 'POST /api/early-access'(req, body) {
+    checkCSRF(req, body);
+    const screened = bots.screen(req, body);
+    if (screened) return screened;
+
+    const email = field(body, 'email').toLowerCase();
+    const plan = field(body, 'plan') || null;
+    const fields = {};
+    validate.email(email, fields);
+    if (plan && !(await catalog.plans()).includes(plan)) {
+      fields.plan = 'Please choose one of the listed plans';
+    }
+    assertValid(fields);
+
+    return store.update(data => {
+      const existing = data.earlyAccess.find(entry => entry.email === email);
+      if (existing) {
+        if (plan) existing.plan = plan;
+        return { status: 200, body: { success: true, duplicate: true, message: 'You\'re already on the early access list.' } };
+      }
+
+      data.earlyAccess.push({
+        id: crypto.randomUUID(),
+        email,
+        plan,
+        createdAt: new Date().toISOString()
+      });
+      return { status: 201, body: { success: true, message: 'You\'re now on our early access list.' } };
+    });
+  },
+
+  async 'POST /api/leads'(req, body) {
+    checkCSRF(req, body);
+    const screened = bots.screen(req, body);
+    if (screened) return screened;
+
+    const serviceType = field(body, 'serviceType');
+    const spec = (await catalog.load())[serviceType];
+    if (!spec) {
+      throw new HttpError(400, 'unknown_service', 'Unknown service type.');
+    }
+
+    const lead = {
+      serviceType,
+      name: field(body, 'name'),
+      email: field(body, 'email').toLowerCase()
+    };
+    const fields = {};
+    if (lead.name || spec.required.includes('name')) {
+      validate.name(lead.name, fields);
+    }
+    validate.email(lead.email, fields);
+    lead.details = validate.leadDetails(spec, body, fields);
+    assertValid(fields);
+
+    return store.update(data => {
+      data.leads.push({
+        id: crypto.randomUUID(),
+        ...lead,
+        createdAt: new Date().toISOString()
+      });
+      return { status: 201, body: { success: true, message: 'Thanks! We\'ll be in touch soon.' } };
+    });
+  },
+
+  async 'GET /api/slots'() {
+    const availability = await schedule.load();
+    const data = await store.load();
+    return {
+      status: 200,
+      body: {
+        success: true,
+        timeZone: availability.timeZone,
+        slotMinutes: availability.slotMinutes,
+        slots: schedule.slots(availability, data.bookings)
+      }
+    };
+  },
+
+  async 'POST /api/bookings'(req, body) {
+    checkCSRF(req, body);
+    const screened = bots.screen(req, body);
+    if (screened) return screened;
+
+    const serviceType = field(body, 'serviceType');
+    const spec = (await catalog.load())[serviceType];
+    if (!spec) {
+      throw new HttpError(400, 'unknown_service', 'Unknown service type.');
+    }
+
+    const booking = {
+      serviceType,
+      start: field(body, 'slot'),
+      name: field(body, 'name'),
+      email: field(body, 'email').toLowerCase(),
+      timeZone: field(body, 'timeZone').slice(0, 64)
+    };
+    const fields = {};
+    if (!booking.start) fields.slot = 'Please choose a time';
+    validate.name(booking.name, fields);
+    validate.email(booking.email, fields);
+    // The booking form asks for the same details as the service's lead form
+    booking.details = validate.leadDetails(spec, body, fields);
+    assertValid(fields);
+
+    const availability = await schedule.load();
+
+    // The availability check and the insert happen in one store update, so two visitors can't get the same slot
+    return store.update(data => {
+      const slot = schedule.slots(availability, data.bookings).find(candidate => candidate.start === booking.start);
+      if (!slot) {
+        const message = 'That time is no longer available. Please choose another.';
+        throw new HttpError(409, 'slot_unavailable', message, { slot: message });
+      }
+
+      const entry = {
+        id: crypto.randomUUID(),
+        ...booking,
+        end: slot.end,
+        createdAt: new Date().toISOString()
+      };
+      data.bookings.push(entry);
+      return {
+        status: 201,
+        body: {
+          success: true,
+          message: 'Your strategy call is booked.',
+          booking: { id: entry.id, start: entry.start, end: entry.end }
+        }
+      };
+    });
+  },
+
+  async 'POST /api/contact'(req, body) {
+    checkCSRF(req, body);
+    const screened = bots.screen(req, body);
+    if (screened) return screened;
+
+    const contact = {
+      name: field(body, 'name'),
+      email: field(body, 'email').toLowerCase(),
+      phone: field(body, 'phone'),
+      message: field(body, 'message')
+    };
+    const fields = {};
+    validate.name(contact.name, fields);
+    validate.email(contact.email, fields);
+    validate.phone(contact.phone, fields);
+    validate.message(contact.message, fields);
+    assertValid(fields);
+
+    return store.update(data => {
+      data.contacts.push({
+        id: crypto.randomUUID(),
+        ...contact,
+        createdAt: new Date().toISOString()
+      });
+      return { status: 201, body: { success: true, message: 'Thanks! We\'ll get back to you within 24 hours.' } };
+    });
+  }
+};
+
+// Responses already sent for an Idempotency-Key, so replays are not recorded twice
+const idempotency = {
+  pending: new Map(),
+
+  // Run handler once per key; later calls with the same key get the first response
+  async run(key, scope, handler) {
+    const id = `${scope} ${key}`;
+
+    if (this.pending.has(id)) {
+      return { ...(await this.pending.get(id)), replayed: true };
+    }
+
+    const promise = this.execute(id, handler);
+    this.pending.set(id, promise);
+
+    try {
+      return await promise;
+    } finally {
+      this.pending.delete(id);
+    }
+  },
+
+  async execute(id, handler) {
+    const data = await store.load();
+    if (data.idempotency[id]) {
+      return { ...data.idempotency[id], replayed: true };
+    }
+
+    const result = await handler();
+    await store.update(current => {
+      this.prune(current.idempotency);
+      current.idempotency[id] = { status: result.status, body: result.body, createdAt: Date.now() };
+    });
+    return result;
+  },
+
+  prune(entries) {
+    const cutoff = Date.now() - CONFIG.IDEMPOTENCY_TTL;
+    Object.keys(entries).forEach(id => {
+      if (entries[id].createdAt < cutoff) delete entries[id];
+    });
+  }
+};
+
+// Read and parse a JSON request body with a size limit
+function readJSON(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    const onData = chunk => {
+      size += chunk.length;
+      if (size > CONFIG.MAX_BODY_BYTES) {
+        // Stop reading but keep the socket open long enough for the 413 to arrive;
+        // Connection: close ends it once the response is sent
+        req.removeListener('data', onData);
+        req.pause();
+        const error = new HttpError(413, 'payload_too_large', 'Request body is too large.');
+        error.headers = { Connection: 'close' };
+        reject(error);
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+
+    req.on('end', () => {
+      try {
+        const body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+          throw new Error('Body must be a JSON object');
+        }
+        resolve(body);
+      } catch (error) {
+        reject(new HttpError(400, 'invalid_json', 'Request body must be valid JSON.'));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+function sendJSON(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store',
+    ...headers
+  });
+  res.end(JSON.stringify(body));
+}
+
+// Handle /api/* requests
+async function handleAPI(req, res, pathname) {
+  const route = routes[`${req.method} ${pathname}`];
+
+  if (!route) {
+    const known = Object.keys(routes).some(key => key.endsWith(` ${pathname}`));
+    throw known
+      ? new HttpError(405, 'method_not_allowed', 'Method not allowed.')
+      : new HttpError(404, 'not_found', 'Not found.');
+  }
+
+  // Only requests with a body need to be JSON
+  const hasBody = req.method !== 'GET' && req.method !== 'HEAD';
+  if (hasBody && !(req.headers['content-type'] || '').includes('application/json')) {
+    throw new HttpError(415, 'unsupported_media_type', 'Requests must be sent as JSON.');
+  }
+
+  const key = req.headers['idempotency-key'];
+  if (key !== undefined && !PATTERNS.idempotencyKey.test(key)) {
+    throw new HttpError(400, 'invalid_idempotency_key', 'Idempotency-Key header is malformed.');
+  }
+
+  const body = hasBody ? await readJSON(req) : {};
+  if (key) {
+    // A stored response is only replayed to a request that passes the same CSRF check
+    checkCSRF(req, body);
+  }
+  const result = key
+    ? await idempotency.run(key, pathname, () => route(req, body))
+    : await route(req, body);
+
+  sendJSON(res, result.status, result.body, {
+    ...result.headers,
+    ...(result.replayed && { 'Idempotent-Replayed': 'true' })
+  });
+}
+
+// Serve index.html and static assets from the project root
+async function handleStatic(req, res, pathname) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    throw new HttpError(405, 'method_not_allowed', 'Method not allowed.');
+  }
+
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (error) {
+    throw new HttpError(400, 'bad_request', 'Malformed URL.');
+  }
+
+  // Extension-less paths such as /services/healthcare are client-side routes
+  const relative = path.extname(decoded)
+    ? path.normalize(decoded).replace(/^([/\\])+/, '')
+    : 'index.html';
+  const filePath = path.join(CONFIG.ROOT, relative);
+  const segments = relative.split(path.sep);
+  const contentType = MIME_TYPES[path.extname(filePath).toLowerCase()];
+
+  const isPrivate = !filePath.startsWith(CONFIG.ROOT + path.sep) ||
+    segments.some(segment => segment.startsWith('.')) ||
+    PRIVATE_PATHS.includes(segments[0]);
+
+  if (isPrivate || !contentType) {
+    throw new HttpError(404, 'not_found', 'Not found.');
+  }
+
+  let content;
+  try {
+    content = await fs.promises.readFile(filePath);
+  } catch (error) {
+    throw new HttpError(404, 'not_found', 'Not found.');
+  }
+
+  res.writeHead(200, {
+    'Content-Type': contentType,
+    'Content-Length': content.length,
+    'Cache-Control': 'no-cache'
+  });
+  res.end(req.method === 'HEAD' ? undefined : content);
+}
+
+// Main request handler
+async function handleRequest(req, res) {
+  const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('Referrer-Policy', 'same-origin');
+
+  try {
+    if (pathname.startsWith('/api/')) {
+      await handleAPI(req, res, pathname);
+    } else {
+      await handleStatic(req, res, pathname);
+    }
+  } catch (error) {
+    if (!(error instanceof HttpError)) {
+      console.error('Unhandled server error:', error);
+      error = new HttpError(500, 'server_error', 'Something went wrong on our side. Please try again.');
+    }
+
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+
+    sendJSON(res, error.status, {
+      success: false,
+      error: error.code,
+      message: error.message,
+      ...(error.fields && { fields: error.fields })
+    }, error.headers);
+  }
+}
+
+const server = http.createServer(handleRequest);
+
+if (require.main === module) {
+  server.listen(CONFIG.PORT, () => {
+    console.log(`KBRJ Solutions running at http://localhost:${CONFIG.PORT}`);
+  });
+}
+
+module.exports = { server, store, routes };